@@ -0,0 +1,65 @@
+// FILE: components/CapabilityMatrix.js
+
+import SupportBadge, { SUPPORT_STYLES } from './SupportBadge';
+import { getCapabilities } from '../lib/capabilities.js';
+
+/**
+ * Engine capability matrix
+ * One row per field and one column per engine, showing whether the engine
+ * renders the field natively, approximates it or drops it
+ * Hover a cell for the explanation that conversions add to their notes
+ */
+export default function CapabilityMatrix({ selectedEngines = [] }) {
+  const { levels, engines, fields, matrix } = getCapabilities();
+
+  return (
+    <div className="space-y-3">
+      {/* Legend */}
+      <div className="flex flex-wrap gap-3 text-xs text-gray-600 dark:text-gray-300">
+        {levels.map(level => (
+          <span key={level} className="flex items-center gap-1">
+            <SupportBadge support={{ level, note: null }} engineName={SUPPORT_STYLES[level].label} />
+            {SUPPORT_STYLES[level].label}
+          </span>
+        ))}
+      </div>
+
+      <div className="overflow-x-auto rounded-lg border border-gray-200 dark:border-gray-600">
+        <table className="min-w-full text-xs">
+          <thead className="bg-gray-50 dark:bg-gray-700">
+            <tr>
+              <th className="sticky left-0 bg-gray-50 dark:bg-gray-700 px-3 py-2 text-left font-semibold text-gray-700 dark:text-gray-200">
+                Field
+              </th>
+              {engines.map(engine => (
+                <th
+                  key={engine.id}
+                  className={`px-2 py-2 text-center font-semibold whitespace-nowrap ${
+                    selectedEngines.includes(engine.id) ? 'text-blue-600 dark:text-blue-400' : 'text-gray-700 dark:text-gray-200'
+                  }`}
+                >
+                  {engine.displayName}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-100 dark:divide-gray-700">
+            {fields.map(field => (
+              <tr key={field.id} className="hover:bg-gray-50 dark:hover:bg-gray-700/50">
+                <td className="sticky left-0 bg-white dark:bg-gray-800 px-3 py-1.5 whitespace-nowrap font-medium text-gray-700 dark:text-gray-200">
+                  {field.label}
+                  <span className="ml-1 text-gray-400 font-mono">{field.id}</span>
+                </td>
+                {engines.map(engine => (
+                  <td key={engine.id} className="px-2 py-1.5 text-center">
+                    <SupportBadge support={matrix[engine.id][field.id]} engineName={engine.displayName} />
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
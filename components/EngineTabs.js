@@ -4,7 +4,7 @@ import { useState } from 'react';
 import Image from 'next/image';
 import { Prism as SyntaxHighlighter } from 'react-syntax-highlighter';
 import { tomorrow } from 'react-syntax-highlighter/dist/cjs/styles/prism';
-import { getSearchUrl } from '../lib/searchUrls.js';
+import { getSearchUrl, getSupportedEngines } from '../lib/converterIndex.js';
 
 /**
  * Tabbed interface for displaying engine results
@@ -57,9 +57,67 @@ export default function EngineTabs({ results, onSavePreset }) {
         gradient: 'from-green-500 to-emerald-600',
         borderColor: 'border-green-500',
         useImage: true
+      },
+      zoomeye: {
+        icon: <span className="text-[10px] font-bold">ZE</span>,
+        gradient: 'from-sky-500 to-indigo-600',
+        borderColor: 'border-sky-500',
+        useImage: false
+      },
+      hunter: {
+        icon: <span className="text-[10px] font-bold">HU</span>,
+        gradient: 'from-rose-500 to-pink-600',
+        borderColor: 'border-rose-500',
+        useImage: false
+      },
+      quake: {
+        icon: <span className="text-[10px] font-bold">QK</span>,
+        gradient: 'from-emerald-500 to-teal-600',
+        borderColor: 'border-emerald-500',
+        useImage: false
+      },
+      netlas: {
+        icon: <span className="text-[10px] font-bold">NL</span>,
+        gradient: 'from-violet-500 to-purple-600',
+        borderColor: 'border-violet-500',
+        useImage: false
+      },
+      dork: {
+        icon: <span className="text-[10px] font-bold">G</span>,
+        gradient: 'from-yellow-500 to-amber-600',
+        borderColor: 'border-yellow-500',
+        useImage: false
+      },
+      criminalip: {
+        icon: <span className="text-[10px] font-bold">CIP</span>,
+        gradient: 'from-red-500 to-orange-600',
+        borderColor: 'border-red-500',
+        useImage: false
+      },
+      onyphe: {
+        icon: <span className="text-[10px] font-bold">ON</span>,
+        gradient: 'from-slate-500 to-gray-700',
+        borderColor: 'border-slate-500',
+        useImage: false
       }
     };
-    return icons[engineId] || { icon: null, gradient: 'from-gray-500 to-gray-600', borderColor: 'border-gray-500', useImage: false };
+    // Engines registered from plugins get a generic search icon
+    return icons[engineId] || {
+      icon: (
+        <svg className="w-3.5 h-3.5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M21 21l-6-6m2-5a7 7 0 11-14 0 7 7 0 0114 0z" />
+        </svg>
+      ),
+      gradient: 'from-gray-500 to-gray-600',
+      borderColor: 'border-gray-500',
+      useImage: false
+    };
+  };
+
+  // Get engine display name from the supported engines metadata
+  const getDisplayName = (engineId) => {
+    const engine = getSupportedEngines().find(e => e.id === engineId);
+    return engine ? engine.displayName : engineId.charAt(0).toUpperCase() + engineId.slice(1);
   };
 
   if (!results || Object.keys(results).length === 0) {
@@ -106,7 +164,7 @@ export default function EngineTabs({ results, onSavePreset }) {
                     platform.icon
                   )}
                 </div>
-                {engineId.charAt(0).toUpperCase() + engineId.slice(1)}
+                {getDisplayName(engineId)}
               </button>
             );
           })}
@@ -152,7 +210,7 @@ export default function EngineTabs({ results, onSavePreset }) {
                       );
                     })()}
                     <h3 className="text-xl font-bold text-gray-900">
-                      {engineId.charAt(0).toUpperCase() + engineId.slice(1)} Query
+                      {getDisplayName(engineId)} Query
                     </h3>
                   </div>
                   <div className="flex flex-wrap gap-3">
@@ -184,7 +242,7 @@ export default function EngineTabs({ results, onSavePreset }) {
                       <svg className="w-4 h-4 mr-2 group-hover:scale-110 transition-transform" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                         <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M10 6H6a2 2 0 00-2 2v10a2 2 0 002 2h10a2 2 0 002-2v-4M14 4h6m0 0v6m0-6L10 14" />
                       </svg>
-                      Search in {engineId.charAt(0).toUpperCase() + engineId.slice(1)}
+                      Search in {getDisplayName(engineId)}
                     </button>
                     <button
                       onClick={() => onSavePreset && onSavePreset(engineId, result)}
@@ -1,17 +1,124 @@
 // FILE: components/FieldsForm.js
 
 import { useState, useEffect, forwardRef, useImperativeHandle } from 'react';
+import { isQueryNode } from '../lib/converters/queryTree.js';
+import { getField, getFormFields } from '../lib/fieldRegistry.js';
+import { validateFieldValue, validateQuery } from '../lib/fieldValidation.js';
+import { getCapabilities } from '../lib/capabilities.js';
+import { hashFavicon, decodeBase64 } from '../lib/faviconHash.js';
+import SupportBadge from './SupportBadge';
+
+// Fields offered in the form, in registry order
+const fieldTypes = getFormFields();
+
+// Per-engine support of every field, shown on the field chips
+const capabilities = getCapabilities();
+
+// Helper to add values to a field, keeping a single value as a scalar and dropping duplicates
+function addFieldValues(fields, fieldId, value) {
+  const toList = v => (v === null || v === undefined || v === '' ? [] : [].concat(v));
+  const values = [...new Set([...toList(fields[fieldId]), ...toList(value)])];
+  if (values.length > 0) {
+    fields[fieldId] = values.length === 1 ? values[0] : values;
+  }
+}
+
+/**
+ * Fold variant fields the form does not offer, such as fofaCountry, into the field they refine
+ * Saved presets and share links may still carry them
+ * @param {Object} fields - Field ID -> value
+ * @returns {Object} Fields with variant values merged into their base field
+ */
+function mergeVariantFields(fields) {
+  const merged = { ...fields };
+  Object.keys(fields).forEach(key => {
+    const base = getField(key)?.variantOf;
+    if (!base || fieldTypes.some(f => f.id === key)) return;
+
+    delete merged[key];
+    addFieldValues(merged, base, fields[key]);
+  });
+  return merged;
+}
+
+/**
+ * Split a query into what the form can show: flat fields, exclude toggles and condition groups
+ * The form emits { ...fields, not: { ...excluded } } and, with groups,
+ * { op: 'and', children: [flatFields, ...groups] }, where each group is an AND/OR node
+ * of single-field conditions, optionally wrapped in NOT
+ * @param {Object} query - Flat fields object or query node
+ * @returns {Object} { fields, excluded, groups, warnings } with excluded as field IDs whose values are in fields,
+ *   groups as { op, negate, rows: [{ fieldId, value }] } and warnings for anything the builder cannot show
+ */
+function splitQueryTree(query) {
+  const topLevel = !isQueryNode(query) ? [query || {}] : query.op === 'and' ? query.children : [query];
+
+  // A field repeated across top-level conditions keeps every value
+  const rawIncluded = {};
+  const rawExclusions = {};
+  topLevel.filter(child => !isQueryNode(child)).forEach(({ not: childExclusions = {}, ...childFields }) => {
+    Object.entries(childFields).forEach(([fieldId, value]) => addFieldValues(rawIncluded, fieldId, value));
+    Object.entries(childExclusions).forEach(([fieldId, value]) => addFieldValues(rawExclusions, fieldId, value));
+  });
+  const included = mergeVariantFields(rawIncluded);
+  const exclusions = mergeVariantFields(rawExclusions);
+
+  // A field that is both included and excluded can only show its included value
+  const excluded = Object.keys(exclusions).filter(key => {
+    const value = exclusions[key];
+    return value !== null && value !== undefined && value !== '' && included[key] === undefined;
+  });
+  const fields = { ...included };
+  excluded.forEach(key => {
+    fields[key] = exclusions[key];
+  });
+
+  // The builder shows one level of groups; deeper nesting is reported rather than silently lost
+  let nestedGroups = 0;
+  const groups = topLevel.filter(isQueryNode).map(node => {
+    const negate = node.op === 'not';
+    const inner = negate
+      ? (node.children.length === 1 ? node.children[0] : { op: 'and', children: node.children })
+      : node;
+    const conditions = isQueryNode(inner) ? inner.children.filter(child => !isQueryNode(child)) : [inner];
+    nestedGroups += isQueryNode(inner) ? inner.children.filter(isQueryNode).length : 0;
+    const rows = conditions.flatMap(condition => Object.entries(condition)
+      .filter(([, value]) => value !== null && value !== undefined && value !== '')
+      .map(([fieldId, value]) => ({
+        fieldId,
+        value: Array.isArray(value) ? value.map(v => String(v)).join(', ') : String(value)
+      })));
+
+    return {
+      op: isQueryNode(inner) && inner.op === 'or' ? 'or' : 'and',
+      negate,
+      rows
+    };
+  });
+
+  const warnings = nestedGroups > 0
+    ? [`${nestedGroups} nested condition group${nestedGroups === 1 ? '' : 's'} cannot be shown in the group builder and ${nestedGroups === 1 ? 'was' : 'were'} left out`]
+    : [];
+
+  return { fields, excluded, groups, warnings };
+}
 
 /**
  * Dynamic fields form component
  * Renders form inputs based on selected field types
- * Emits normalized fields object on submit
+ * Emits normalized fields object on submit, or a boolean query node when condition groups are used
  * Supports comma-separated multiple values
+ * Field chips show how each selected engine supports the field
  */
-const FieldsForm = forwardRef(function FieldsForm({ onSubmit, isLoading, initialFields }, ref) {
+const FieldsForm = forwardRef(function FieldsForm({ onSubmit, isLoading, initialFields, selectedEngines = [] }, ref) {
   const [selectedFields, setSelectedFields] = useState([]);
   const [fieldValues, setFieldValues] = useState({});
-  const [originalFields, setOriginalFields] = useState({});
+  const [excludedFields, setExcludedFields] = useState([]);
+  const [groups, setGroups] = useState([]);
+  const [submitError, setSubmitError] = useState(null);
+  const [loadWarnings, setLoadWarnings] = useState([]);
+  const [listDrafts, setListDrafts] = useState({});
+  const [faviconResult, setFaviconResult] = useState(null);
 
   // Helper function to convert field values to strings for form inputs
   const convertFieldsToStrings = (fields) => {
@@ -38,95 +145,62 @@ const FieldsForm = forwardRef(function FieldsForm({ onSubmit, isLoading, initial
     return stringFields;
   };
 
+  // Load a flat fields object or boolean query into the form
+  // Returns false when nothing in the query can be shown
+  const applyFields = (query) => {
+    const { fields, excluded, groups: loadedGroups, warnings } = splitQueryTree(query);
+
+    // Only fields the form offers can be shown
+    const displayableFields = Object.keys(fields).filter(key => {
+      const value = fields[key];
+      return value !== null && value !== undefined && fieldTypes.some(f => f.id === key);
+    });
+
+    if (displayableFields.length === 0 && loadedGroups.length === 0 && warnings.length === 0) {
+      return false;
+    }
+
+    setSelectedFields(displayableFields);
+    setExcludedFields(excluded.filter(key => displayableFields.includes(key)));
+    // Convert values to strings for form inputs
+    setFieldValues(convertFieldsToStrings(fields));
+    setGroups(loadedGroups);
+    setLoadWarnings(warnings);
+    return true;
+  };
+
+  // Reset every part of the form
+  const clearForm = () => {
+    setSelectedFields([]);
+    setFieldValues({});
+    setExcludedFields([]);
+    setGroups([]);
+    setSubmitError(null);
+    setLoadWarnings([]);
+    setListDrafts({});
+    setFaviconResult(null);
+  };
+
   // Update form when initialFields change (e.g., when preset is loaded)
   useEffect(() => {
     if (initialFields && Object.keys(initialFields).length > 0) {
-      // Filter to only include fields that exist in fieldTypes, plus allow special internal fields
-      const validFields = Object.keys(initialFields).filter(key => {
-        const value = initialFields[key];
-        // Allow null/undefined to be filtered out
-        if (value === null || value === undefined) {
-          return false;
-        }
-        // Allow fields that exist in fieldTypes OR are special internal fields (protocol, countryFull, fofaCountry)
-        const isStandardField = fieldTypes.some(f => f.id === key);
-        const isSpecialField = ['protocol', 'countryFull', 'fofaCountry'].includes(key);
-        return isStandardField || isSpecialField;
-      });
-      
-      if (validFields.length > 0) {
-        // Store original fields to preserve types for special fields
-        setOriginalFields(initialFields);
-        // Only set selectedFields to standard fields that can be displayed
-        const displayableFields = validFields.filter(key => fieldTypes.some(f => f.id === key));
-        setSelectedFields(displayableFields);
-        // Convert values to strings for form inputs (including special fields for internal use)
-        const stringFields = convertFieldsToStrings(initialFields);
-        setFieldValues(stringFields);
-      }
+      applyFields(initialFields);
     } else if (initialFields && Object.keys(initialFields).length === 0) {
       // Clear form if initialFields is empty
-      setSelectedFields([]);
-      setFieldValues({});
+      clearForm();
     }
   }, [initialFields]);
 
   // Expose clear function and loadFields function to parent
   useImperativeHandle(ref, () => ({
-    clearFields: () => {
-      setSelectedFields([]);
-      setFieldValues({});
-    },
+    clearFields: clearForm,
     loadFields: (fields) => {
-      // Filter out null/undefined values
-      const fieldKeys = Object.keys(fields).filter(key => {
-        const value = fields[key];
-        if (value === null || value === undefined) {
-          return false;
-        }
-        // Allow standard fields and special internal fields
-        const isStandardField = fieldTypes.some(f => f.id === key);
-        const isSpecialField = ['protocol', 'countryFull', 'fofaCountry'].includes(key);
-        return isStandardField || isSpecialField;
-      });
-      
-      if (fieldKeys.length > 0) {
-        // Store original fields to preserve types for special fields
-        setOriginalFields(fields);
-        // Only set selectedFields to standard fields that can be displayed
-        const displayableFields = fieldKeys.filter(key => fieldTypes.some(f => f.id === key));
-        setSelectedFields(displayableFields);
-        // Convert values to strings for form inputs (including special fields)
-        const stringFields = convertFieldsToStrings(fields);
-        setFieldValues(stringFields);
-      } else {
-        setSelectedFields([]);
-        setFieldValues({});
-        setOriginalFields({});
+      if (!applyFields(fields)) {
+        clearForm();
       }
     }
   }));
 
-  // Available field types with their input configurations
-  const fieldTypes = [
-    { id: 'ip', label: 'IP Address', type: 'text', placeholder: '1.2.3.4' },
-    { id: 'port', label: 'Port', type: 'text', placeholder: '80, 443, 8443' },
-    { id: 'domain', label: 'Domain/Hostname', type: 'text', placeholder: 'example.com' },
-    { id: 'country', label: 'Country', type: 'text', placeholder: 'US, DE, AE' },
-    { id: 'org', label: 'Organization', type: 'text', placeholder: 'Cloudflare, Inc.' },
-    { id: 'asn', label: 'ASN', type: 'text', placeholder: 'AS13335 or 13335' },
-    { id: 'httpTitle', label: 'HTTP Title', type: 'text', placeholder: 'Welcome to nginx!' },
-    { id: 'httpStatus', label: 'HTTP Status', type: 'text', placeholder: '200, 404, 500' },
-    { id: 'serverHeader', label: 'Server Header', type: 'text', placeholder: 'nginx/1.18.0' },
-    { id: 'product', label: 'Product/Service', type: 'text', placeholder: 'nginx, Apache' },
-    { id: 'version', label: 'Version', type: 'text', placeholder: '1.18.0, 2.4.41' },
-    { id: 'os', label: 'Operating System', type: 'text', placeholder: 'Linux, Windows' },
-    { id: 'ssl', label: 'SSL Certificate', type: 'text', placeholder: '*.example.com' },
-    { id: 'tlsSubject', label: 'SSL/TLS Certificate Subject', type: 'text', placeholder: 'CN=example.com, O=Organization' },
-    { id: 'hostname', label: 'Hostname', type: 'text', placeholder: 'server.example.com' },
-    { id: 'city', label: 'City', type: 'text', placeholder: 'New York, London' }
-  ];
-
   // Handle field selection
   const handleFieldToggle = (fieldId) => {
     setSelectedFields(prev => {
@@ -135,13 +209,23 @@ const FieldsForm = forwardRef(function FieldsForm({ onSubmit, isLoading, initial
         const newValues = { ...fieldValues };
         delete newValues[fieldId];
         setFieldValues(newValues);
+        setExcludedFields(excluded => excluded.filter(id => id !== fieldId));
         return prev.filter(id => id !== fieldId);
       } else {
+        // Toggles start switched on, as selecting them asks for the flag
+        if (getField(fieldId)?.input === 'toggle') {
+          setFieldValues(values => ({ ...values, [fieldId]: 'true' }));
+        }
         return [...prev, fieldId];
       }
     });
   };
 
+  // Switch a selected field between include and exclude
+  const handleExcludeToggle = (fieldId) => {
+    setExcludedFields(prev => prev.includes(fieldId) ? prev.filter(id => id !== fieldId) : [...prev, fieldId]);
+  };
+
   // Handle field value changes
   const handleValueChange = (fieldId, value) => {
     setFieldValues(prev => ({
@@ -172,9 +256,98 @@ const FieldsForm = forwardRef(function FieldsForm({ onSubmit, isLoading, initial
     }
   };
 
+  // Multi-entry list handlers - entries are stored comma-separated like any other value
+  const splitEntries = (value) => (value ? String(value).split(',').map(v => v.trim()).filter(v => v) : []);
+
+  const handleListAdd = (fieldId) => {
+    const entries = splitEntries(fieldValues[fieldId]);
+    const added = splitEntries(listDrafts[fieldId]).filter(v => !entries.includes(v));
+    if (added.length > 0) {
+      handleValueChange(fieldId, [...entries, ...added].join(', '));
+    }
+    setListDrafts(prev => ({ ...prev, [fieldId]: '' }));
+  };
+
+  const handleListRemove = (fieldId, entry) => {
+    handleValueChange(fieldId, splitEntries(fieldValues[fieldId]).filter(v => v !== entry).join(', '));
+  };
+
+  // Favicon handlers - hashes are computed in the browser, the icon is never uploaded
+  const applyFaviconHashes = (fieldId, hashes) => {
+    const entries = splitEntries(fieldValues[fieldId]);
+    const hash = String(hashes.mmh3);
+    if (!entries.includes(hash)) {
+      handleValueChange(fieldId, [...entries, hash].join(', '));
+    }
+    setFaviconResult(hashes);
+  };
+
+  const handleFaviconFile = async (fieldId, file) => {
+    if (!file) return;
+    try {
+      applyFaviconHashes(fieldId, hashFavicon(new Uint8Array(await file.arrayBuffer())));
+    } catch (error) {
+      setFaviconResult({ error: `Could not read ${file.name}: ${error.message}` });
+    }
+  };
+
+  const handleFaviconPaste = (fieldId) => {
+    try {
+      applyFaviconHashes(fieldId, hashFavicon(decodeBase64(listDrafts[fieldId] || '')));
+      setListDrafts(prev => ({ ...prev, [fieldId]: '' }));
+    } catch (error) {
+      setFaviconResult({ error: `${error.message} - paste the icon as base64 or a data: URI` });
+    }
+  };
+
+  // Add the computed MD5 as a Favicon MD5 value, for engines that only index MD5
+  const handleUseFaviconMd5 = (md5) => {
+    const entries = splitEntries(fieldValues.faviconMd5);
+    if (!entries.includes(md5)) {
+      handleValueChange('faviconMd5', [...entries, md5].join(', '));
+    }
+    setSelectedFields(prev => prev.includes('faviconMd5') ? prev : [...prev, 'faviconMd5']);
+  };
+
+  // Condition group handlers - each group is an AND/OR list of single-field conditions
+  const handleAddGroup = () => {
+    setGroups(prev => [...prev, { op: 'or', negate: false, rows: [{ fieldId: fieldTypes[0].id, value: '' }] }]);
+  };
+
+  const handleRemoveGroup = (groupIndex) => {
+    setGroups(prev => prev.filter((_, index) => index !== groupIndex));
+  };
+
+  const handleGroupChange = (groupIndex, changes) => {
+    setGroups(prev => prev.map((group, index) => index === groupIndex ? { ...group, ...changes } : group));
+  };
+
+  const handleAddRow = (groupIndex) => {
+    setGroups(prev => prev.map((group, index) => index === groupIndex
+      ? { ...group, rows: [...group.rows, { fieldId: fieldTypes[0].id, value: '' }] }
+      : group));
+  };
+
+  const handleRemoveRow = (groupIndex, rowIndex) => {
+    setGroups(prev => prev.map((group, index) => index === groupIndex
+      ? { ...group, rows: group.rows.filter((_, i) => i !== rowIndex) }
+      : group));
+  };
+
+  const handleRowChange = (groupIndex, rowIndex, changes) => {
+    setGroups(prev => prev.map((group, index) => index === groupIndex
+      ? { ...group, rows: group.rows.map((row, i) => i === rowIndex ? { ...row, ...changes } : row) }
+      : group));
+  };
+
   // Common ports for quick selection
   const commonPorts = [80, 443, 22, 21, 23, 25, 53, 110, 143, 993, 995, 3306, 3389, 5432, 8080, 8443, 9000];
 
+  // Relative date presets in days - stored as 7d and turned into dates when converting
+  const relativeDatePresets = [1, 7, 30, 90, 365];
+  const relativeDateLabel = (fieldId, days) =>
+    `${fieldId === 'seenBefore' ? 'Older than' : 'Last'} ${days === 1 ? '24 hours' : `${days} days`}`;
+
   // Helper function to parse comma-separated values
   const parseCommaSeparated = (value, fieldId) => {
     if (!value || (typeof value === 'string' && value.trim() === '')) return null;
@@ -193,29 +366,32 @@ const FieldsForm = forwardRef(function FieldsForm({ onSubmit, isLoading, initial
     const strValue = String(value).trim();
     if (strValue === '') return null;
     
-    // For port field, handle comma-separated numbers
-    if (fieldId === 'port') {
-      const ports = strValue.split(',').map(p => p.trim()).filter(p => p !== '');
-      if (ports.length === 0) return null;
-      if (ports.length === 1) return parseInt(ports[0], 10);
-      return ports.map(p => parseInt(p, 10));
-    }
-    
-    // For protocol and other array fields, split by comma and trim
-    if (fieldId === 'protocol' || fieldId === 'countryFull' || fieldId === 'fofaCountry') {
-      const values = strValue.split(',').map(v => v.trim()).filter(v => v !== '');
-      if (values.length === 0) return null;
-      if (values.length === 1) return values[0];
-      return values;
-    }
-    
-    // For other fields, split by comma and trim
-    const values = strValue.split(',').map(v => v.trim()).filter(v => v !== '');
+    // Split multi-value fields by comma and parse numbers as declared in the registry
+    const field = getField(fieldId);
+    const values = (field && !field.multiple ? [strValue] : strValue.split(','))
+      .map(v => v.trim())
+      .filter(v => v !== '')
+      .map(v => field && field.valueType === 'number' && /^\d+$/.test(v) ? parseInt(v, 10) : v);
     if (values.length === 0) return null;
     if (values.length === 1) return values[0];
     return values;
   };
 
+  // Validate a raw input value against the field's registry validator
+  const getValueErrors = (fieldId, value) => validateFieldValue(fieldId, parseCommaSeparated(value, fieldId));
+
+  // Validate and normalize the built query, then hand it to the parent
+  const submitQuery = (query) => {
+    const { query: normalizedQuery, errors } = validateQuery(query);
+    const invalidFields = Object.keys(errors);
+    if (invalidFields.length > 0) {
+      setSubmitError(`Fix the invalid values for ${invalidFields.map(id => getField(id)?.label || id).join(', ')} before converting`);
+      return;
+    }
+    setSubmitError(null);
+    onSubmit(normalizedQuery);
+  };
+
   // Handle form submission
   const handleSubmit = (e) => {
     e.preventDefault();
@@ -241,33 +417,40 @@ const FieldsForm = forwardRef(function FieldsForm({ onSubmit, isLoading, initial
       }
     });
 
-    // Also include special internal fields if they exist in fieldValues (from presets)
-    // These fields are stored internally but not displayed in the form
-    const specialFields = ['protocol', 'countryFull', 'fofaCountry'];
-    specialFields.forEach(fieldId => {
-      const value = fieldValues[fieldId];
-      if (value !== undefined && value !== null && value !== '') {
-        // Check if value was originally from originalFields (preset) - preserve original type
-        const originalValue = originalFields[fieldId];
-        if (originalValue !== undefined && originalValue !== null && originalValue !== '') {
-          // Use original value type (array, string, etc.)
-          normalizedFields[fieldId] = originalValue;
-        } else if (Array.isArray(value) || typeof value === 'string') {
-          // If it's already an array or string, use it directly
-          normalizedFields[fieldId] = value;
-        } else {
-          // Parse comma-separated strings
-          const parsed = parseCommaSeparated(String(value), fieldId);
-          if (parsed !== null) {
-            normalizedFields[fieldId] = parsed;
-          }
-        }
+    // Excluded fields move into the `not` map
+    const exclusions = {};
+    excludedFields.forEach(fieldId => {
+      if (normalizedFields[fieldId] !== undefined) {
+        exclusions[fieldId] = normalizedFields[fieldId];
+        delete normalizedFields[fieldId];
       }
     });
+    if (Object.keys(exclusions).length > 0) {
+      normalizedFields.not = exclusions;
+    }
+
+    // Condition groups become AND/OR nodes of single-field conditions, optionally negated
+    const groupNodes = groups.map(group => {
+      const children = group.rows
+        .map(row => ({ fieldId: row.fieldId, value: parseCommaSeparated(row.value, row.fieldId) }))
+        .filter(row => row.value !== null)
+        .map(row => ({ [row.fieldId]: row.value }));
+      if (children.length === 0) return null;
+
+      const node = { op: group.op, children };
+      return group.negate ? { op: 'not', children: [node] } : node;
+    }).filter(node => node !== null);
+
+    // With groups, the selected fields and every group are combined with AND
+    if (groupNodes.length > 0) {
+      const children = Object.keys(normalizedFields).length > 0 ? [normalizedFields, ...groupNodes] : groupNodes;
+      submitQuery({ op: 'and', children });
+      return;
+    }
 
     // Only submit if we have at least one field
     if (Object.keys(normalizedFields).length > 0) {
-      onSubmit(normalizedFields);
+      submitQuery(normalizedFields);
     }
   };
 
@@ -307,11 +490,24 @@ const FieldsForm = forwardRef(function FieldsForm({ onSubmit, isLoading, initial
                   </svg>
                 )}
               </div>
-              <span className={`text-xs font-medium transition-colors leading-tight ${
-                selectedFields.includes(field.id)
-                  ? 'text-gray-700 dark:text-gray-50'
-                  : 'text-gray-700 dark:text-gray-200 group-hover:text-blue-600 dark:group-hover:text-blue-300'
-              }`}>{field.label}</span>
+              <div className="min-w-0">
+                <span className={`text-xs font-medium transition-colors leading-tight ${
+                  selectedFields.includes(field.id)
+                    ? 'text-gray-700 dark:text-gray-50'
+                    : 'text-gray-700 dark:text-gray-200 group-hover:text-blue-600 dark:group-hover:text-blue-300'
+                }`}>{field.label}</span>
+                {selectedEngines.length > 0 && (
+                  <div className="flex flex-wrap gap-0.5 mt-1">
+                    {capabilities.engines.filter(engine => selectedEngines.includes(engine.id)).map(engine => (
+                      <SupportBadge
+                        key={engine.id}
+                        support={capabilities.matrix[engine.id][field.id]}
+                        engineName={engine.displayName}
+                      />
+                    ))}
+                  </div>
+                )}
+              </div>
             </label>
           ))}
         </div>
@@ -331,22 +527,215 @@ const FieldsForm = forwardRef(function FieldsForm({ onSubmit, isLoading, initial
           <div className="grid grid-cols-1 lg:grid-cols-2 gap-3">
             {selectedFields.map(fieldId => {
               const field = fieldTypes.find(f => f.id === fieldId);
+              const errors = getValueErrors(fieldId, fieldValues[fieldId]);
               return (
                 <div key={fieldId} className="group space-y-1">
-                  <label className="block text-xs font-semibold text-gray-700 dark:text-gray-200 group-hover:text-blue-600 dark:group-hover:text-blue-400 transition-colors">
-                    {field.label}
-                  </label>
-                  {field.type === 'select' ? (
-                    <select
-                      value={fieldValues[fieldId] || ''}
-                      onChange={(e) => handleValueChange(fieldId, e.target.value)}
-                      className="w-full px-4 py-3 border-2 border-gray-200 dark:border-gray-600 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition-all duration-200 bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100 hover:border-gray-300 dark:hover:border-gray-500"
+                  <div className="flex items-center justify-between">
+                    <label className="block text-xs font-semibold text-gray-700 dark:text-gray-200 group-hover:text-blue-600 dark:group-hover:text-blue-400 transition-colors">
+                      {field.label}
+                    </label>
+                    <button
+                      type="button"
+                      onClick={() => handleExcludeToggle(fieldId)}
+                      title="Exclude results matching this field"
+                      className={`px-2 py-0.5 text-[10px] font-semibold rounded border transition-all duration-200 ${
+                        excludedFields.includes(fieldId)
+                          ? 'bg-red-600 text-white border-red-600 dark:bg-red-500 dark:border-red-400'
+                          : 'bg-white dark:bg-gray-700 text-gray-600 dark:text-gray-300 border-gray-300 dark:border-gray-600 hover:border-red-400 hover:text-red-600 dark:hover:text-red-400'
+                      }`}
+                    >
+                      {excludedFields.includes(fieldId) ? 'Excluded' : 'Exclude'}
+                    </button>
+                  </div>
+                  {field.input === 'toggle' ? (
+                    <button
+                      type="button"
+                      role="switch"
+                      aria-checked={fieldValues[fieldId] === 'true'}
+                      onClick={() => handleValueChange(fieldId, fieldValues[fieldId] === 'true' ? 'false' : 'true')}
+                      className="flex items-center gap-3 text-sm text-gray-700 dark:text-gray-200"
                     >
-                      <option value="">Select {field.label}</option>
-                      {field.options.map(option => (
-                        <option key={option} value={option}>{option.toUpperCase()}</option>
+                      <span className={`relative inline-flex h-5 w-9 flex-shrink-0 rounded-full transition-colors duration-200 ${
+                        fieldValues[fieldId] === 'true' ? 'bg-blue-600 dark:bg-blue-500' : 'bg-gray-300 dark:bg-gray-600'
+                      }`}>
+                        <span className={`absolute top-0.5 left-0.5 h-4 w-4 rounded-full bg-white shadow transition-transform duration-200 ${
+                          fieldValues[fieldId] === 'true' ? 'translate-x-4' : ''
+                        }`} />
+                      </span>
+                      {fieldValues[fieldId] === 'true' ? 'Yes' : 'No'}
+                    </button>
+                  ) : field.input === 'list' ? (
+                    <div className="space-y-2">
+                      {splitEntries(fieldValues[fieldId]).length > 0 && (
+                        <div className="flex flex-wrap gap-1.5">
+                          {splitEntries(fieldValues[fieldId]).map(entry => (
+                            <span
+                              key={entry}
+                              className={`inline-flex items-center gap-1 px-2 py-0.5 text-xs font-mono rounded border ${
+                                validateFieldValue(fieldId, entry).length > 0
+                                  ? 'bg-red-50 text-red-700 border-red-300 dark:bg-red-900/40 dark:text-red-300 dark:border-red-700'
+                                  : 'bg-blue-50 text-blue-700 border-blue-200 dark:bg-blue-900/40 dark:text-blue-200 dark:border-blue-700'
+                              }`}
+                            >
+                              {entry}
+                              <button
+                                type="button"
+                                onClick={() => handleListRemove(fieldId, entry)}
+                                className="hover:text-red-600 dark:hover:text-red-400"
+                                aria-label={`Remove ${entry}`}
+                              >
+                                ×
+                              </button>
+                            </span>
+                          ))}
+                        </div>
+                      )}
+                      <div className="flex gap-2">
+                        <input
+                          type="text"
+                          value={listDrafts[fieldId] || ''}
+                          onChange={(e) => setListDrafts(prev => ({ ...prev, [fieldId]: e.target.value }))}
+                          onKeyDown={(e) => {
+                            if (e.key === 'Enter') {
+                              e.preventDefault();
+                              handleListAdd(fieldId);
+                            }
+                          }}
+                          placeholder={`${field.placeholder} (press Enter to add)`}
+                          aria-invalid={errors.length > 0}
+                          className="flex-1 min-w-0 px-3 py-2 text-sm border-2 border-gray-200 dark:border-gray-600 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition-all duration-200 bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100 hover:border-gray-300 dark:hover:border-gray-500"
+                        />
+                        <button
+                          type="button"
+                          onClick={() => handleListAdd(fieldId)}
+                          className="px-3 py-2 text-xs font-semibold rounded-lg bg-blue-600 text-white hover:bg-blue-700 transition-colors"
+                        >
+                          Add
+                        </button>
+                      </div>
+                    </div>
+                  ) : field.input === 'favicon' ? (
+                    <div className="space-y-2">
+                      <input
+                        type="text"
+                        value={fieldValues[fieldId] || ''}
+                        onChange={(e) => handleValueChange(fieldId, e.target.value)}
+                        placeholder={`${field.placeholder} (comma-separated for multiple)`}
+                        aria-invalid={errors.length > 0}
+                        className={`w-full px-3 py-2 text-sm border-2 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition-all duration-200 bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100 ${
+                          errors.length > 0
+                            ? 'border-red-400 dark:border-red-500'
+                            : 'border-gray-200 dark:border-gray-600 hover:border-gray-300 dark:hover:border-gray-500'
+                        }`}
+                      />
+                      <label
+                        onDragOver={(e) => e.preventDefault()}
+                        onDrop={(e) => {
+                          e.preventDefault();
+                          handleFaviconFile(fieldId, e.dataTransfer.files[0]);
+                        }}
+                        className="flex flex-col items-center justify-center px-3 py-3 text-xs text-gray-600 dark:text-gray-300 border-2 border-dashed border-gray-300 dark:border-gray-600 rounded-lg cursor-pointer hover:border-blue-400 dark:hover:border-blue-500 transition-colors"
+                      >
+                        <span className="font-semibold">Drop a favicon file or click to choose one</span>
+                        <span className="text-gray-500 dark:text-gray-400">Hashed in your browser - nothing is uploaded</span>
+                        <input
+                          type="file"
+                          accept="image/*,.ico"
+                          className="sr-only"
+                          onChange={(e) => {
+                            handleFaviconFile(fieldId, e.target.files[0]);
+                            e.target.value = '';
+                          }}
+                        />
+                      </label>
+                      <div className="flex gap-2">
+                        <input
+                          type="text"
+                          value={listDrafts[fieldId] || ''}
+                          onChange={(e) => setListDrafts(prev => ({ ...prev, [fieldId]: e.target.value }))}
+                          onKeyDown={(e) => {
+                            if (e.key === 'Enter') {
+                              e.preventDefault();
+                              handleFaviconPaste(fieldId);
+                            }
+                          }}
+                          placeholder="Or paste the icon as base64"
+                          className="flex-1 min-w-0 px-3 py-2 text-sm font-mono border-2 border-gray-200 dark:border-gray-600 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition-all duration-200 bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100 hover:border-gray-300 dark:hover:border-gray-500"
+                        />
+                        <button
+                          type="button"
+                          onClick={() => handleFaviconPaste(fieldId)}
+                          className="px-3 py-2 text-xs font-semibold rounded-lg bg-blue-600 text-white hover:bg-blue-700 transition-colors"
+                        >
+                          Hash
+                        </button>
+                      </div>
+                      {faviconResult && (faviconResult.error ? (
+                        <p className="text-xs text-red-600 dark:text-red-400">{faviconResult.error}</p>
+                      ) : (
+                        <div className="text-xs text-gray-600 dark:text-gray-300 space-y-1">
+                          <p>MurmurHash3: <span className="font-mono">{faviconResult.mmh3}</span> (added above)</p>
+                          <p className="flex flex-wrap items-center gap-2">
+                            <span>MD5: <span className="font-mono">{faviconResult.md5}</span></span>
+                            <button
+                              type="button"
+                              onClick={() => handleUseFaviconMd5(faviconResult.md5)}
+                              className="px-2 py-0.5 text-[10px] font-semibold rounded border border-blue-300 text-blue-700 dark:border-blue-600 dark:text-blue-300 hover:bg-blue-50 dark:hover:bg-blue-900/40"
+                            >
+                              Add as Favicon MD5
+                            </button>
+                          </p>
+                        </div>
                       ))}
-                    </select>
+                    </div>
+                  ) : field.input === 'date' ? (
+                    <input
+                      type="date"
+                      value={fieldValues[fieldId] || ''}
+                      onChange={(e) => handleValueChange(fieldId, e.target.value)}
+                      aria-invalid={errors.length > 0}
+                      className={`w-full px-3 py-2 text-sm border-2 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition-all duration-200 bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100 ${
+                        errors.length > 0
+                          ? 'border-red-400 dark:border-red-500'
+                          : 'border-gray-200 dark:border-gray-600 hover:border-gray-300 dark:hover:border-gray-500'
+                      }`}
+                    />
+                  ) : field.input === 'relativeDate' ? (
+                    <div className="space-y-2">
+                      <div className="flex flex-wrap gap-2">
+                        {relativeDatePresets.map(days => {
+                          const isSelected = fieldValues[fieldId] === `${days}d`;
+                          return (
+                            <button
+                              key={days}
+                              type="button"
+                              onClick={() => handleValueChange(fieldId, isSelected ? '' : `${days}d`)}
+                              className={`px-3 py-1.5 text-xs font-medium rounded-lg border-2 transition-all duration-200 ${
+                                isSelected
+                                  ? 'bg-blue-600 dark:bg-blue-500 text-white border-blue-600 dark:border-blue-400 shadow-md dark:shadow-blue-900/30'
+                                  : 'bg-white dark:bg-gray-700 text-gray-700 dark:text-gray-200 border-gray-300 dark:border-gray-600 hover:border-blue-400 dark:hover:border-blue-500 hover:text-blue-600 dark:hover:text-blue-400'
+                              }`}
+                            >
+                              {relativeDateLabel(fieldId, days)}
+                            </button>
+                          );
+                        })}
+                      </div>
+                      <input
+                        type="date"
+                        value={/^\d{4}-\d{2}-\d{2}$/.test(fieldValues[fieldId] || '') ? fieldValues[fieldId] : ''}
+                        onChange={(e) => handleValueChange(fieldId, e.target.value)}
+                        aria-invalid={errors.length > 0}
+                        className={`w-full px-3 py-2 text-sm border-2 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition-all duration-200 bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100 ${
+                          errors.length > 0
+                            ? 'border-red-400 dark:border-red-500'
+                            : 'border-gray-200 dark:border-gray-600 hover:border-gray-300 dark:hover:border-gray-500'
+                        }`}
+                      />
+                      <p className="text-xs text-gray-500 dark:text-gray-400">
+                        Pick a preset or an exact date - presets are turned into dates when converting, so saved queries stay current
+                      </p>
+                    </div>
                   ) : fieldId === 'port' ? (
                     <>
                       {/* Multi-select port interface */}
@@ -376,7 +765,12 @@ const FieldsForm = forwardRef(function FieldsForm({ onSubmit, isLoading, initial
                           value={fieldValues[fieldId] || ''}
                           onChange={(e) => handleValueChange(fieldId, e.target.value)}
                           placeholder="Or enter custom ports (comma-separated, e.g., 80, 443, 8443)"
-                          className="w-full px-3 py-2 text-sm border-2 border-gray-200 dark:border-gray-600 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition-all duration-200 bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100 hover:border-gray-300 dark:hover:border-gray-500"
+                          aria-invalid={errors.length > 0}
+                          className={`w-full px-3 py-2 text-sm border-2 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition-all duration-200 bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100 ${
+                            errors.length > 0
+                              ? 'border-red-400 dark:border-red-500'
+                              : 'border-gray-200 dark:border-gray-600 hover:border-gray-300 dark:hover:border-gray-500'
+                          }`}
                         />
                         <p className="text-xs text-gray-500 dark:text-gray-400">Click ports above or enter custom ports separated by commas</p>
                       </div>
@@ -384,19 +778,25 @@ const FieldsForm = forwardRef(function FieldsForm({ onSubmit, isLoading, initial
                   ) : (
                     <>
                       <input
-                        type={field.type}
+                        type="text"
                         value={fieldValues[fieldId] || ''}
                         onChange={(e) => handleValueChange(fieldId, e.target.value)}
-                        placeholder={field.placeholder + (field.type === 'text' ? ' (comma-separated for multiple)' : '')}
-                        min={field.min}
-                        max={field.max}
-                        className="w-full px-3 py-2 text-sm border-2 border-gray-200 dark:border-gray-600 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition-all duration-200 bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100 hover:border-gray-300 dark:hover:border-gray-500"
+                        placeholder={field.placeholder + (field.multiple ? ' (comma-separated for multiple)' : '')}
+                        aria-invalid={errors.length > 0}
+                        className={`w-full px-3 py-2 text-sm border-2 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition-all duration-200 bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100 ${
+                          errors.length > 0
+                            ? 'border-red-400 dark:border-red-500'
+                            : 'border-gray-200 dark:border-gray-600 hover:border-gray-300 dark:hover:border-gray-500'
+                        }`}
                       />
-                      {field.type === 'text' && (
+                      {field.multiple && (
                         <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">You can enter multiple values separated by commas</p>
                       )}
                     </>
                   )}
+                  {errors.length > 0 && (
+                    <p role="alert" className="text-xs text-red-600 dark:text-red-400">{errors.join(' · ')}</p>
+                  )}
                 </div>
               );
             })}
@@ -404,16 +804,133 @@ const FieldsForm = forwardRef(function FieldsForm({ onSubmit, isLoading, initial
         </div>
       )}
 
+      {/* Condition Groups */}
+      <div className="bg-gradient-to-r from-purple-50 to-indigo-50 dark:from-gray-800/80 dark:to-gray-700/80 rounded-xl p-4 border border-purple-100 dark:border-gray-600/50">
+        <div className="flex items-center justify-between mb-3">
+          <h3 className="text-sm font-semibold text-gray-900 dark:text-gray-100 flex items-center">
+            <div className="w-5 h-5 bg-gradient-to-r from-purple-500 to-purple-600 rounded-lg flex items-center justify-center mr-2">
+              <svg className="w-2.5 h-2.5 text-white" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 6h16M4 12h16M4 18h7" />
+              </svg>
+            </div>
+            Condition Groups
+          </h3>
+          <button
+            type="button"
+            onClick={handleAddGroup}
+            className="px-3 py-1.5 text-xs font-medium rounded-lg border-2 bg-white dark:bg-gray-700 text-gray-700 dark:text-gray-200 border-gray-300 dark:border-gray-600 hover:border-purple-400 dark:hover:border-purple-500 hover:text-purple-600 dark:hover:text-purple-400 transition-all duration-200"
+          >
+            + Add Group
+          </button>
+        </div>
+        {groups.length === 0 ? (
+          <p className="text-xs text-gray-500 dark:text-gray-400">
+            Add a group to combine conditions with OR, or to exclude matches with NOT. Groups are ANDed with the fields above.
+          </p>
+        ) : (
+          <div className="space-y-3">
+            {groups.map((group, groupIndex) => (
+              <div key={groupIndex} className="bg-white dark:bg-gray-700/70 rounded-lg p-3 border-2 border-gray-200 dark:border-gray-600 space-y-2">
+                <div className="flex flex-wrap items-center gap-3">
+                  <select
+                    value={group.op}
+                    onChange={(e) => handleGroupChange(groupIndex, { op: e.target.value })}
+                    className="px-2 py-1.5 text-xs border-2 border-gray-200 dark:border-gray-600 rounded-lg focus:outline-none focus:ring-2 focus:ring-purple-500 bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100"
+                  >
+                    <option value="or">Match any (OR)</option>
+                    <option value="and">Match all (AND)</option>
+                  </select>
+                  <label className="flex items-center text-xs font-medium text-gray-700 dark:text-gray-200 cursor-pointer">
+                    <input
+                      type="checkbox"
+                      checked={group.negate}
+                      onChange={(e) => handleGroupChange(groupIndex, { negate: e.target.checked })}
+                      className="mr-1.5"
+                    />
+                    Exclude (NOT)
+                  </label>
+                  <button
+                    type="button"
+                    onClick={() => handleRemoveGroup(groupIndex)}
+                    className="ml-auto text-xs text-red-600 dark:text-red-400 hover:underline"
+                  >
+                    Remove group
+                  </button>
+                </div>
+                {group.rows.map((row, rowIndex) => {
+                  const errors = getValueErrors(row.fieldId, row.value);
+                  return (
+                    <div key={rowIndex} className="space-y-1">
+                      <div className="flex items-center gap-2">
+                        <select
+                          value={row.fieldId}
+                          onChange={(e) => handleRowChange(groupIndex, rowIndex, { fieldId: e.target.value })}
+                          className="w-40 flex-shrink-0 px-2 py-2 text-xs border-2 border-gray-200 dark:border-gray-600 rounded-lg focus:outline-none focus:ring-2 focus:ring-purple-500 bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100"
+                        >
+                          {fieldTypes.map(field => (
+                            <option key={field.id} value={field.id}>{field.label}</option>
+                          ))}
+                        </select>
+                        <input
+                          type="text"
+                          value={row.value}
+                          onChange={(e) => handleRowChange(groupIndex, rowIndex, { value: e.target.value })}
+                          placeholder={fieldTypes.find(f => f.id === row.fieldId)?.placeholder || ''}
+                          aria-invalid={errors.length > 0}
+                        className={`flex-1 min-w-0 px-3 py-2 text-sm border-2 rounded-lg focus:outline-none focus:ring-2 focus:ring-purple-500 focus:border-purple-500 transition-all duration-200 bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100 ${
+                          errors.length > 0
+                            ? 'border-red-400 dark:border-red-500'
+                            : 'border-gray-200 dark:border-gray-600 hover:border-gray-300 dark:hover:border-gray-500'
+                        }`}
+                        />
+                        <button
+                          type="button"
+                          onClick={() => handleRemoveRow(groupIndex, rowIndex)}
+                          className="px-2 text-gray-400 hover:text-red-600 dark:hover:text-red-400"
+                          aria-label="Remove condition"
+                        >
+                          ×
+                        </button>
+                      </div>
+                      {errors.length > 0 && (
+                        <p role="alert" className="text-xs text-red-600 dark:text-red-400">{errors.join(' · ')}</p>
+                      )}
+                    </div>
+                  );
+                })}
+                <button
+                  type="button"
+                  onClick={() => handleAddRow(groupIndex)}
+                  className="text-xs text-purple-600 dark:text-purple-400 hover:underline"
+                >
+                  + Add condition
+                </button>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+
+      {loadWarnings.length > 0 && (
+        <div role="status" className="bg-yellow-50 border border-yellow-200 rounded-md p-3">
+          <ul className="text-xs text-yellow-700 space-y-1">
+            {loadWarnings.map((warning, index) => (
+              <li key={index}>• {warning}</li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {submitError && (
+        <p role="alert" className="text-sm text-center text-red-600 dark:text-red-400">{submitError}</p>
+      )}
+
       {/* Submit and Clear Buttons */}
       <div className="flex justify-center gap-3 pt-3">
         <button
           type="button"
-          onClick={() => {
-            setSelectedFields([]);
-            setFieldValues({});
-            setOriginalFields({});
-          }}
-          disabled={selectedFields.length === 0 || isLoading}
+          onClick={clearForm}
+          disabled={(selectedFields.length === 0 && groups.length === 0) || isLoading}
           className="px-6 py-2.5 bg-gray-200 text-gray-700 text-sm font-semibold rounded-lg hover:bg-gray-300 focus:outline-none focus:ring-4 focus:ring-gray-300 disabled:opacity-50 disabled:cursor-not-allowed transition-all duration-300 shadow-md hover:shadow-lg"
         >
           <div className="flex items-center">
@@ -425,7 +942,7 @@ const FieldsForm = forwardRef(function FieldsForm({ onSubmit, isLoading, initial
         </button>
         <button
           type="submit"
-          disabled={selectedFields.length === 0 || isLoading}
+          disabled={(selectedFields.length === 0 && groups.length === 0) || isLoading}
           className="group relative px-6 py-2.5 bg-gradient-to-r from-blue-600 to-purple-600 text-white text-sm font-semibold rounded-lg hover:from-blue-700 hover:to-purple-700 focus:outline-none focus:ring-4 focus:ring-blue-300 disabled:opacity-50 disabled:cursor-not-allowed transition-all duration-300 shadow-lg hover:shadow-xl transform hover:-translate-y-1 disabled:transform-none"
         >
           <div className="flex items-center">
@@ -0,0 +1,105 @@
+// FILE: components/QueryImport.js
+
+import { useState } from 'react';
+import { getSupportedParsers, parseQuery } from '../lib/parserIndex.js';
+
+/**
+ * Paste-query component
+ * Parses an existing engine query back into normalized fields
+ * and hands them to the parent to fill the form
+ * Unmapped filters are listed as warnings
+ */
+export default function QueryImport({ onImport, isLoading }) {
+  const parsers = getSupportedParsers();
+  const [engineId, setEngineId] = useState(parsers[0]?.id || '');
+  const [query, setQuery] = useState('');
+  const [warnings, setWarnings] = useState([]);
+  const [error, setError] = useState(null);
+
+  const activeParser = parsers.find(p => p.id === engineId);
+
+  // Handle query edits - pasted FOFA result links switch the language to FOFA
+  const handleQueryChange = (value) => {
+    setQuery(value);
+    if (engineId !== 'fofa' && parsers.some(p => p.id === 'fofa') && /[?&]qbase64=/.test(value)) {
+      setEngineId('fofa');
+    }
+  };
+
+  // Handle import submission
+  const handleImport = (e) => {
+    e.preventDefault();
+    setError(null);
+    setWarnings([]);
+
+    if (!query.trim()) {
+      setError('Paste a query to import');
+      return;
+    }
+
+    const result = parseQuery(engineId, query);
+    setWarnings(result.warnings || []);
+
+    if (!result.fields || Object.keys(result.fields).length === 0) {
+      setError('No supported filters found in the query');
+      return;
+    }
+
+    onImport(result.fields);
+  };
+
+  return (
+    <form onSubmit={handleImport} className="space-y-3">
+      <div>
+        <label className="block text-xs font-semibold text-gray-700 mb-1">
+          Query language
+        </label>
+        <select
+          value={engineId}
+          onChange={(e) => setEngineId(e.target.value)}
+          className="w-full px-3 py-2 text-sm border-2 border-gray-200 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition-all duration-200 bg-white text-gray-900 hover:border-gray-300"
+        >
+          {parsers.map(parser => (
+            <option key={parser.id} value={parser.id}>{parser.displayName}</option>
+          ))}
+        </select>
+      </div>
+
+      <div>
+        <label className="block text-xs font-semibold text-gray-700 mb-1">
+          Query
+        </label>
+        <textarea
+          value={query}
+          onChange={(e) => handleQueryChange(e.target.value)}
+          placeholder={activeParser ? activeParser.placeholder : ''}
+          rows={3}
+          className="w-full px-3 py-2 text-sm font-mono border-2 border-gray-200 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition-all duration-200 bg-white text-gray-900 hover:border-gray-300"
+        />
+      </div>
+
+      {error && (
+        <p className="text-xs text-red-600">{error}</p>
+      )}
+
+      {warnings.length > 0 && (
+        <div className="bg-yellow-50 border border-yellow-200 rounded-md p-3">
+          <h4 className="text-xs font-medium text-yellow-800 mb-1">Warnings:</h4>
+          <ul className="text-xs text-yellow-700 space-y-1">
+            {warnings.map((warning, index) => (
+              <li key={index}>• {warning}</li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      <button
+        type="submit"
+        disabled={!query.trim() || isLoading}
+        className="w-full px-4 py-2 bg-gradient-to-r from-blue-600 to-purple-600 text-white text-sm font-semibold rounded-lg hover:from-blue-700 hover:to-purple-700 focus:outline-none focus:ring-4 focus:ring-blue-300 disabled:opacity-50 disabled:cursor-not-allowed transition-all duration-300 shadow-md hover:shadow-lg"
+      >
+        Import Query
+      </button>
+    </form>
+  );
+}
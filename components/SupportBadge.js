@@ -0,0 +1,44 @@
+// FILE: components/SupportBadge.js
+
+// Symbol, label and colors for each support level
+export const SUPPORT_STYLES = {
+  native: {
+    symbol: '✓',
+    label: 'Native',
+    className: 'bg-green-100 text-green-700 border-green-300 dark:bg-green-900/40 dark:text-green-300 dark:border-green-700'
+  },
+  approximate: {
+    symbol: '≈',
+    label: 'Approximated',
+    className: 'bg-amber-100 text-amber-700 border-amber-300 dark:bg-amber-900/40 dark:text-amber-300 dark:border-amber-700'
+  },
+  unsupported: {
+    symbol: '✕',
+    label: 'Unsupported',
+    className: 'bg-red-100 text-red-700 border-red-300 dark:bg-red-900/40 dark:text-red-300 dark:border-red-700'
+  },
+  unknown: {
+    symbol: '?',
+    label: 'Unknown',
+    className: 'bg-gray-100 text-gray-600 border-gray-300 dark:bg-gray-700 dark:text-gray-300 dark:border-gray-500'
+  }
+};
+
+/**
+ * Badge for how well an engine supports a field
+ * Shows a symbol per support level with the explanation as tooltip
+ */
+export default function SupportBadge({ support, engineName }) {
+  const style = SUPPORT_STYLES[support.level] || SUPPORT_STYLES.unknown;
+  const title = `${engineName}: ${style.label}${support.note ? ` - ${support.note}` : ''}`;
+
+  return (
+    <span
+      title={title}
+      aria-label={title}
+      className={`inline-flex items-center justify-center min-w-[1rem] h-4 px-1 text-[9px] font-bold leading-none rounded border ${style.className}`}
+    >
+      {style.symbol}
+    </span>
+  );
+}
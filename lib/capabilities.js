@@ -0,0 +1,45 @@
+// FILE: lib/capabilities.js
+
+import { getSupportedEngines } from './converterIndex.js';
+import { FIELDS, getFieldSupport, isRegistryEngine } from './fieldRegistry.js';
+
+/**
+ * Engine capability matrix
+ * Tells, before converting, which fields each engine renders natively, approximates or drops
+ */
+
+// Support levels from best to worst; plugin engines are reported as unknown
+export const SUPPORT_LEVELS = ['native', 'approximate', 'unsupported', 'unknown'];
+
+/**
+ * Build the capability matrix for every engine and field
+ * @returns {Object} {
+ *   levels: Array of support levels,
+ *   engines: Array of { id, displayName },
+ *   fields: Array of { id, label, form },
+ *   matrix: { [engineId]: { [fieldId]: { level, note } } }
+ * }
+ */
+export function getCapabilities() {
+  const engines = getSupportedEngines();
+  // Engine-specific variants are covered by their base field
+  const fields = FIELDS.filter(field => !field.variantOf);
+  const matrix = {};
+
+  engines.forEach(engine => {
+    const registryEngine = isRegistryEngine(engine.id);
+    matrix[engine.id] = {};
+    fields.forEach(field => {
+      matrix[engine.id][field.id] = registryEngine
+        ? getFieldSupport(field.id, engine.id, engine.displayName)
+        : { level: 'unknown', note: `${engine.displayName} is a converter plugin and does not describe its field support` };
+    });
+  });
+
+  return {
+    levels: SUPPORT_LEVELS,
+    engines: engines.map(({ id, displayName }) => ({ id, displayName })),
+    fields: fields.map(({ id, label, form }) => ({ id, label, form })),
+    matrix
+  };
+}
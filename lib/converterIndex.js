@@ -3,34 +3,210 @@
 import { convert as shodanConvert } from './converters/shodan.js';
 import { convert as censysConvert } from './converters/censys.js';
 import { convert as fofaConvert } from './converters/fofa.js';
+import { convert as zoomeyeConvert } from './converters/zoomeye.js';
+import { convert as hunterConvert } from './converters/hunter.js';
+import { convert as quakeConvert } from './converters/quake.js';
+import { convert as netlasConvert } from './converters/netlas.js';
+import { convert as dorkConvert } from './converters/dork.js';
+import { convert as criminalipConvert } from './converters/criminalip.js';
+import { convert as onypheConvert } from './converters/onyphe.js';
+import { parse as shodanParse } from './parsers/shodan.js';
+import { parse as censysParse } from './parsers/censys.js';
+import { parse as fofaParse } from './parsers/fofa.js';
+import {
+  getShodanUrl,
+  getCensysUrl,
+  getFofaUrl,
+  getZoomEyeUrl,
+  getHunterUrl,
+  getQuakeUrl,
+  getNetlasUrl,
+  getDorkUrl,
+  getCriminalIpUrl,
+  getOnypheUrl
+} from './searchUrls.js';
+import plugins from '../plugins/index.js';
 
 /**
- * Supported ASM engines with metadata
+ * Converter contract
+ * Every engine, built-in or registered in plugins/index.js, is described by:
+ * - id: unique lowercase engine ID used in API requests, presets and share links
+ * - displayName: name shown in the UI
+ * - docsUrl: link to the engine's query language reference
+ * - convert(fields): returns { query, notes, fallback } for a fields object or boolean query node
+ * - parse(query): optional, returns { fields, warnings } for a query written for the engine
+ * - searchUrl(query): optional, returns a link that runs the query on the engine
+ * - placeholder: optional example query shown when parsing is available
  */
-const SUPPORTED_ENGINES = [
+
+// Engine IDs must be safe to use in URLs and object keys
+const ENGINE_ID_PATTERN = /^[a-z][a-z0-9_-]*$/;
+
+/**
+ * Built-in ASM engines with metadata and converters
+ */
+const BUILTIN_ENGINES = [
   {
     id: 'shodan',
     displayName: 'Shodan',
-    docsUrl: 'https://www.shodan.io/search/filters'
+    docsUrl: 'https://www.shodan.io/search/filters',
+    convert: shodanConvert,
+    parse: shodanParse,
+    searchUrl: getShodanUrl,
+    placeholder: 'port:80,443 org:"Acme" http.title:"Login" country:US'
   },
   {
     id: 'censys',
     displayName: 'Censys',
-    docsUrl: 'https://docs.censys.com/docs/censys-query-language'
+    docsUrl: 'https://docs.censys.com/docs/censys-query-language',
+    convert: censysConvert,
+    parse: censysParse,
+    searchUrl: getCensysUrl,
+    placeholder: 'host.services.port: 443 and host.location.country_code: "US"'
   },
   {
     id: 'fofa',
     displayName: 'FOFA',
-    docsUrl: 'https://en.fofa.info/api'
+    docsUrl: 'https://en.fofa.info/api',
+    convert: fofaConvert,
+    parse: fofaParse,
+    searchUrl: getFofaUrl,
+    placeholder: 'ip_ports="80,443" && title="Login" or a fofa.so/result?qbase64= link'
+  },
+  {
+    id: 'zoomeye',
+    displayName: 'ZoomEye',
+    docsUrl: 'https://www.zoomeye.ai/doc',
+    convert: zoomeyeConvert,
+    searchUrl: getZoomEyeUrl
+  },
+  {
+    id: 'hunter',
+    displayName: 'Hunter',
+    docsUrl: 'https://hunter.qianxin.com/home/helpCenter',
+    convert: hunterConvert,
+    searchUrl: getHunterUrl
+  },
+  {
+    id: 'quake',
+    displayName: 'Quake',
+    docsUrl: 'https://quake.360.net/quake/#/help',
+    convert: quakeConvert,
+    searchUrl: getQuakeUrl
+  },
+  {
+    id: 'netlas',
+    displayName: 'Netlas',
+    docsUrl: 'https://docs.netlas.io/automation/search_query_language/',
+    convert: netlasConvert,
+    searchUrl: getNetlasUrl
+  },
+  {
+    id: 'dork',
+    displayName: 'Google / Bing Dork',
+    docsUrl: 'https://support.google.com/websearch/answer/2466433',
+    convert: dorkConvert,
+    searchUrl: getDorkUrl
+  },
+  {
+    id: 'criminalip',
+    displayName: 'Criminal IP',
+    docsUrl: 'https://www.criminalip.io/developer/filters',
+    convert: criminalipConvert,
+    searchUrl: getCriminalIpUrl
+  },
+  {
+    id: 'onyphe',
+    displayName: 'ONYPHE',
+    docsUrl: 'https://search.onyphe.io/docs/onyphe-query-language',
+    convert: onypheConvert,
+    searchUrl: getOnypheUrl
   }
 ];
 
+/**
+ * Check a plugin against the converter contract
+ * Throws so that a broken plugin fails the build instead of the conversion
+ * @param {Object} converter - Plugin converter
+ * @param {Array<string>} takenIds - Engine IDs already registered
+ * @returns {Object} The converter
+ */
+function validateConverter(converter, takenIds) {
+  const name = converter && converter.id ? `Converter plugin "${converter.id}"` : 'Converter plugin';
+
+  if (!converter || typeof converter !== 'object') {
+    throw new Error(`${name} must be an object`);
+  }
+  if (typeof converter.id !== 'string' || !ENGINE_ID_PATTERN.test(converter.id)) {
+    throw new Error(`${name} needs a lowercase id matching ${ENGINE_ID_PATTERN}`);
+  }
+  if (takenIds.includes(converter.id)) {
+    throw new Error(`${name} uses an engine ID that is already registered`);
+  }
+  ['displayName', 'docsUrl'].forEach(key => {
+    if (typeof converter[key] !== 'string' || !converter[key].trim()) {
+      throw new Error(`${name} needs a ${key} string`);
+    }
+  });
+  if (typeof converter.convert !== 'function') {
+    throw new Error(`${name} needs a convert(fields) function`);
+  }
+  ['parse', 'searchUrl'].forEach(key => {
+    if (converter[key] !== undefined && typeof converter[key] !== 'function') {
+      throw new Error(`${name} has a ${key} that is not a function`);
+    }
+  });
+
+  return converter;
+}
+
+// Built-in engines followed by the registered plugins
+const CONVERTERS = plugins.reduce(
+  (registered, plugin) => [...registered, validateConverter(plugin, registered.map(c => c.id))],
+  BUILTIN_ENGINES
+);
+
 /**
  * Get list of supported engines
  * @returns {Array} Array of engine objects with id, displayName, docsUrl
  */
 export function getSupportedEngines() {
-  return SUPPORTED_ENGINES;
+  return CONVERTERS.map(({ id, displayName, docsUrl }) => ({ id, displayName, docsUrl }));
+}
+
+/**
+ * Get the full converter for an engine
+ * @param {string} engineId - Engine ID
+ * @returns {Object|undefined} Converter following the converter contract
+ */
+export function getConverter(engineId) {
+  return CONVERTERS.find(converter => converter.id === engineId);
+}
+
+/**
+ * Get search URL for any engine by ID
+ * Every engine, built-in or from a plugin, declares its generator in the converter contract
+ * @param {string} engineId - The engine ID
+ * @param {string} query - The search query
+ * @returns {string|null} - Search URL for the engine, or null if it has no generator
+ */
+export function getSearchUrl(engineId, query) {
+  const converter = getConverter(engineId);
+  if (!converter || !converter.searchUrl) {
+    // Return null instead of throwing to prevent runtime errors
+    console.warn(`No URL generator found for engine: ${engineId}`);
+    return null;
+  }
+
+  return converter.searchUrl(query);
+}
+
+/**
+ * Get the converters, built-in or from plugins, that can parse queries back into fields
+ * @returns {Array} Converters with a parse function
+ */
+export function getParsingConverters() {
+  return CONVERTERS.filter(converter => converter.parse);
 }
 
 /**
@@ -41,18 +217,12 @@ export function getSupportedEngines() {
  */
 export function convertAll(fields, enginesArray = []) {
   const results = {};
-  
-  // All converters are now implemented
-  const availableConverters = {
-    shodan: shodanConvert,
-    censys: censysConvert,
-    fofa: fofaConvert
-  };
 
   enginesArray.forEach(engineId => {
-    if (availableConverters[engineId]) {
+    const converter = getConverter(engineId);
+    if (converter) {
       try {
-        results[engineId] = availableConverters[engineId](fields);
+        results[engineId] = converter.convert(fields);
       } catch (error) {
         results[engineId] = {
           query: '',
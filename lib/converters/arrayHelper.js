@@ -1,6 +1,7 @@
 // Helper function to handle array values in converters
 export function handleArrayField(fieldValue, formatSingle, formatMultiple = null) {
-  if (!fieldValue) return null;
+  // false is a value (boolean toggles), only unset values are skipped
+  if (fieldValue === undefined || fieldValue === null || fieldValue === '') return null;
   
   const values = Array.isArray(fieldValue) ? fieldValue : [fieldValue];
   if (values.length === 0) return null;
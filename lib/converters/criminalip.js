@@ -0,0 +1,20 @@
+// FILE: lib/converters/criminalip.js
+
+import { convertWithMappings } from './mappingHelper.js';
+
+/**
+ * Criminal IP query converter
+ * Maps normalized fields to Criminal IP asset search filters
+ * Reference: https://www.criminalip.io/developer/filters
+ *
+ * Field mappings live in lib/fieldRegistry.js
+ */
+
+export function convert(fields) {
+  return convertWithMappings(fields, {
+    engine: 'criminalip',
+    name: 'Criminal IP',
+    and: ' AND ',
+    or: ' OR '
+  });
+}
@@ -0,0 +1,60 @@
+// FILE: lib/converters/dork.js
+
+import { convertMappedFields, negateMappedField } from './mappingHelper.js';
+import { renderQueryTree } from './queryTree.js';
+import { hasDoubleQuote } from './escapeHelper.js';
+import { isFieldSupported } from '../fieldRegistry.js';
+
+/**
+ * Google/Bing dork converter
+ * Maps the web-facing subset of normalized fields to search engine operators
+ * Reference: https://support.google.com/websearch/answer/2466433
+ *
+ * Field mappings live in lib/fieldRegistry.js
+ *
+ * Search engines have no escape sequence inside quoted phrases, so double quotes are removed from values
+ *
+ * Boolean query nodes and the `not` map of excluded fields are rendered with OR groups and -operator negation
+ */
+
+const DORK_SYNTAX = {
+  and: ' ',
+  or: ' OR ',
+  negate: (filter) => `-${filter}`,
+  negateField: negateMappedField('dork')
+};
+
+/**
+ * Convert a flat fields object or boolean query node to a search engine dork
+ * @param {Object} fields - Normalized fields object or query node
+ * @returns {Object} { query, notes, fallback }
+ */
+export function convert(fields) {
+  return renderQueryTree(fields, convertFields, DORK_SYNTAX);
+}
+
+// Convert a flat fields object, combining every filter with AND
+function convertFields(fields) {
+  const result = convertMappedFields(fields, {
+    engine: 'dork',
+    name: 'Google / Bing Dork',
+    and: ' ',
+    or: ' OR ',
+    reportUnsupported: false
+  });
+
+  // Search engines only index page content, so infrastructure fields are dropped
+  const droppedFields = Object.keys(fields).filter(fieldId => {
+    const value = fields[fieldId];
+    return !isFieldSupported(fieldId, 'dork') && value !== undefined && value !== null && value !== '';
+  });
+  if (droppedFields.length > 0) {
+    result.notes.unshift(`Fields with no dork operator were dropped: ${droppedFields.join(', ')}`);
+  }
+
+  if (hasDoubleQuote(fields)) {
+    result.notes.push("Search engines cannot match double quotes inside phrases - they were removed");
+  }
+
+  return result;
+}
@@ -0,0 +1,106 @@
+// FILE: lib/converters/escapeHelper.js
+
+/**
+ * Value escaping and quoting shared by converters
+ * Keeps user input inside the value it was typed into, so quotes, backslashes
+ * and operators such as && or OR cannot change the structure of a query
+ */
+
+// Values made only of these characters are safe to leave unquoted (IPs, CIDRs, ports, CVE IDs, wildcards)
+const SIMPLE_VALUE = /^[\p{L}\p{N}_.\-:/*@]+$/u;
+
+// Lucene reserved characters (&& and || are covered by & and |)
+const LUCENE_RESERVED = /[+\-=&|><!(){}[\]^"~*?:\\/]/g;
+const LUCENE_RESERVED_NO_WILDCARDS = /[+\-=&|><!(){}[\]^"~:\\/]/g;
+
+/**
+ * Quote a value for engines that accept backslash escapes inside double quotes
+ * @param {*} value - Raw value
+ * @returns {string} Double-quoted value with backslashes and double quotes escaped
+ */
+export function quote(value) {
+  return `"${String(value).replace(/[\\"]/g, '\\$&')}"`;
+}
+
+/**
+ * Leave simple values bare and quote everything else
+ * @param {*} value - Raw value
+ * @returns {string} Bare or double-quoted value
+ */
+export function quoteIfNeeded(value) {
+  const str = String(value);
+  return SIMPLE_VALUE.test(str) ? str : quote(str);
+}
+
+/**
+ * Remove double quotes for engines with no escape sequence inside quoted phrases
+ * @param {*} value - Raw value
+ * @returns {string} Value without double quotes
+ */
+export function stripQuotes(value) {
+  return String(value).replace(/"/g, '');
+}
+
+/**
+ * Double-quote a value for engines with no escape sequence inside quoted phrases
+ * @param {*} value - Raw value
+ * @returns {string} Double-quoted value with any double quotes removed
+ */
+export function phrase(value) {
+  return `"${stripQuotes(value)}"`;
+}
+
+/**
+ * Leave values bare unless they contain whitespace, parentheses or commas, for engines without escapes
+ * @param {*} value - Raw value
+ * @returns {string} Bare or double-quoted value with any double quotes removed
+ */
+export function phraseIfNeeded(value) {
+  const str = stripQuotes(value);
+  return /^[^\s(),]+$/.test(str) ? str : `"${str}"`;
+}
+
+/**
+ * Escape a value for use in a Lucene query
+ * @param {string|number} value - Raw field value
+ * @returns {string} Bare term, wildcard term or quoted phrase
+ */
+export function escapeLucene(value) {
+  const str = String(value).trim();
+
+  // Wildcards only work on unquoted terms, so escape around them
+  if (/[*?]/.test(str)) {
+    return str
+      .replace(LUCENE_RESERVED_NO_WILDCARDS, '\\$&')
+      .replace(/\s/g, '\\ ');
+  }
+
+  // Phrases only need quotes and backslashes escaped
+  if (/\s/.test(str)) {
+    return `"${str.replace(/["\\]/g, '\\$&')}"`;
+  }
+
+  return str.replace(LUCENE_RESERVED, '\\$&');
+}
+
+/**
+ * Format a numeric Lucene value, turning "FROM-TO" into a range
+ * @param {string|number} value - Number or range such as "8000-9000"
+ * @returns {string} Number or [FROM TO TO] range
+ */
+export function formatLuceneNumeric(value) {
+  const range = String(value).match(/^\s*(\d+)\s*-\s*(\d+)\s*$/);
+  if (range) {
+    return `[${range[1]} TO ${range[2]}]`;
+  }
+  return escapeLucene(value);
+}
+
+/**
+ * Check whether any value in a fields object contains a double quote
+ * @param {Object} fields - Normalized fields object
+ * @returns {boolean} True if stripQuotes would change a value
+ */
+export function hasDoubleQuote(fields) {
+  return Object.values(fields || {}).some(value => [].concat(value).some(v => String(v).includes('"')));
+}
@@ -0,0 +1,20 @@
+// FILE: lib/converters/hunter.js
+
+import { convertWithMappings } from './mappingHelper.js';
+
+/**
+ * Hunter (Qianxin) query converter
+ * Maps normalized fields to Hunter search syntax
+ * Reference: https://hunter.qianxin.com/home/helpCenter
+ *
+ * Field mappings live in lib/fieldRegistry.js
+ */
+
+export function convert(fields) {
+  return convertWithMappings(fields, {
+    engine: 'hunter',
+    name: 'Hunter',
+    and: ' && ',
+    or: ' || '
+  });
+}
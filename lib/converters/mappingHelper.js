@@ -0,0 +1,124 @@
+// FILE: lib/converters/mappingHelper.js
+
+import { handleArrayField } from './arrayHelper.js';
+import { flattenQueryTree } from './queryTree.js';
+import { FIELDS, getEngineMapping, unsupportedNote } from '../fieldRegistry.js';
+
+/**
+ * Shared builder that renders fields through the field registry (lib/fieldRegistry.js)
+ * Walks the registry in order and joins the filters each engine mapping generates
+ */
+
+// Helper to check for an unset field value
+function isEmptyValue(value) {
+  return value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0);
+}
+
+/**
+ * Build a query for a flat fields object from the engine's registry mappings
+ * @param {Object} fields - Normalized fields object
+ * @param {Object} options - Engine syntax description
+ * @param {string} options.engine - Engine ID used to look up registry mappings
+ * @param {string} options.name - Engine name used in notes
+ * @param {string} options.and - Separator used to combine filters
+ * @param {string} options.or - Separator used to combine multiple values of one field
+ * @param {boolean} [options.reportUnsupported=true] - Add a note for every field the engine cannot express
+ * @returns {Object} { query, notes, fallback }
+ */
+export function convertMappedFields(fields, { engine, name, and, or, reportUnsupported = true }) {
+  const queryParts = [];
+  const notes = [];
+  let fallback = null;
+
+  FIELDS.forEach(field => {
+    const value = fields[field.id];
+    if (isEmptyValue(value)) return;
+
+    // Fields the engine cannot express are reported instead of silently dropped,
+    // except engine-specific variants whose base field already covers them
+    const mapping = getEngineMapping(field.id, engine);
+    if (!mapping || mapping.unsupported) {
+      if (reportUnsupported && !(field.variantOf && !mapping)) {
+        notes.push(mapping ? mapping.unsupported : unsupportedNote(field, name));
+      }
+      return;
+    }
+
+    const { format, multiple, note } = mapping;
+    const formatSingle = v => format(v, fields);
+    const part = handleArrayField(
+      value,
+      formatSingle,
+      multiple ? values => multiple(values, fields) : values => `(${values.map(formatSingle).join(or)})`
+    );
+
+    if (part) {
+      queryParts.push(part);
+      if (note) {
+        notes.push(note);
+      }
+    } else if (field.validate) {
+      // Mappings return null for values they cannot parse, such as unvalidated imports
+      const error = (Array.isArray(value) ? value : [value]).map(field.validate).find(Boolean);
+      if (error) {
+        notes.push(`${field.label}: ${error} - excluded from the query`);
+      }
+    }
+  });
+
+  // Generate query
+  let queryString = queryParts.join(and);
+
+  // Handle empty query case
+  if (!queryString.trim()) {
+    queryString = '*';
+    notes.push("No specific fields provided - using wildcard search");
+  }
+
+  // Add general notes
+  if (queryParts.length > 1) {
+    notes.push(`Multiple filters combined with ${and.trim().toUpperCase() || 'AND'} logic`);
+  }
+
+  // Add fallback for complex queries
+  if (queryParts.length > 5) {
+    fallback = queryParts.slice(0, 3).join(and);
+    notes.push("Query simplified for better performance - see fallback");
+  }
+
+  return {
+    query: queryString,
+    notes,
+    fallback
+  };
+}
+
+/**
+ * Build a query for engines without group support
+ * Boolean query nodes are flattened into a single AND of filters, dropping exclusions
+ * @param {Object} query - Normalized fields object or boolean query node
+ * @param {Object} options - Engine syntax description, as for convertMappedFields
+ * @returns {Object} { query, notes, fallback }
+ */
+export function convertWithMappings(query, options) {
+  const { fields, exact } = flattenQueryTree(query);
+  const result = convertMappedFields(fields, options);
+
+  if (!exact) {
+    result.notes.unshift("OR/NOT groups are not supported by this converter - groups were merged with AND and negated filters dropped");
+  }
+
+  return result;
+}
+
+/**
+ * Build the per-field negation hook for renderQueryTree from the engine's registry mappings
+ * @param {string} engine - Engine ID
+ * @returns {Function} (fieldId, value, fields) => negated filter, null if unsupported, or undefined for the generic negation
+ */
+export function negateMappedField(engine) {
+  return (fieldId, value, fields) => {
+    const mapping = getEngineMapping(fieldId, engine);
+    return mapping && mapping.negate ? mapping.negate(value, fields) : undefined;
+  };
+}
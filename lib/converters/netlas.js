@@ -0,0 +1,23 @@
+// FILE: lib/converters/netlas.js
+
+import { convertWithMappings } from './mappingHelper.js';
+
+/**
+ * Netlas.io query converter
+ * Maps normalized fields to Netlas Lucene-style search syntax
+ * Reference: https://docs.netlas.io/automation/search_query_language/
+ *
+ * Field mappings live in lib/fieldRegistry.js
+ *
+ * Values keep their * and ? wildcards; every other Lucene reserved
+ * character is escaped, and values with whitespace become quoted phrases.
+ */
+
+export function convert(fields) {
+  return convertWithMappings(fields, {
+    engine: 'netlas',
+    name: 'Netlas',
+    and: ' AND ',
+    or: ' OR '
+  });
+}
@@ -0,0 +1,42 @@
+// FILE: lib/converters/onyphe.js
+
+import { convertWithMappings } from './mappingHelper.js';
+import { isFieldSupported } from '../fieldRegistry.js';
+
+/**
+ * ONYPHE query converter
+ * Maps normalized fields to ONYPHE Query Language (OQL) on the datascan category
+ * Reference: https://search.onyphe.io/docs/onyphe-query-language
+ *
+ * Field mappings live in lib/fieldRegistry.js
+ *
+ * Multiple values use OQL optional (?field:value) filters.
+ */
+
+// Every ONYPHE query targets a data category
+const ONYPHE_CATEGORY = 'category:datascan';
+
+export function convert(fields) {
+  const result = convertWithMappings(fields, {
+    engine: 'onyphe',
+    name: 'ONYPHE',
+    and: ' ',
+    or: ' '
+  });
+
+  // ?field:value filters are OR'ed across the whole query, not per field
+  const multiValueFields = Object.keys(fields).filter(fieldId =>
+    isFieldSupported(fieldId, 'onyphe') && Array.isArray(fields[fieldId]) && fields[fieldId].length > 1
+  );
+  if (multiValueFields.length > 1) {
+    result.notes.push(`Optional (?) filters for ${multiValueFields.join(', ')} are combined into a single OR group by ONYPHE`);
+  }
+
+  // Scope the query to the datascan category
+  result.query = result.query === '*' ? ONYPHE_CATEGORY : `${ONYPHE_CATEGORY} ${result.query}`;
+  if (result.fallback) {
+    result.fallback = `${ONYPHE_CATEGORY} ${result.fallback}`;
+  }
+
+  return result;
+}
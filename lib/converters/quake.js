@@ -0,0 +1,20 @@
+// FILE: lib/converters/quake.js
+
+import { convertWithMappings } from './mappingHelper.js';
+
+/**
+ * 360 Quake query converter
+ * Maps normalized fields to Quake search syntax
+ * Reference: https://quake.360.net/quake/#/help
+ *
+ * Field mappings live in lib/fieldRegistry.js
+ */
+
+export function convert(fields) {
+  return convertWithMappings(fields, {
+    engine: 'quake',
+    name: 'Quake',
+    and: ' AND ',
+    or: ' OR '
+  });
+}
@@ -0,0 +1,283 @@
+// FILE: lib/converters/queryTree.js
+
+/**
+ * Boolean query model shared by converters
+ * A query is either a flat fields object (implicit AND of its fields) or a node
+ * { op: 'and' | 'or' | 'not', children: [...] } whose children are nodes or flat fields objects
+ *
+ * Example - (title=Jenkins OR title=Grafana) AND NOT country=CN:
+ * {
+ *   op: 'and',
+ *   children: [
+ *     { op: 'or', children: [{ httpTitle: 'Jenkins' }, { httpTitle: 'Grafana' }] },
+ *     { op: 'not', children: [{ country: 'CN' }] }
+ *   ]
+ * }
+ *
+ * Flat fields objects may also carry a `not` map of excluded fields,
+ * e.g. { port: 443, not: { org: 'Amazon' } }
+ */
+
+const OPERATORS = ['and', 'or', 'not'];
+
+// Converter notes that describe how a flat query was joined rather than what it searches for
+const LAYOUT_NOTES = [
+  /^Multiple filters combined with /,
+  /^No specific fields provided/,
+  /^Query simplified for better performance/,
+  /^Filters combined with nested AND\/OR\/NOT groups/
+];
+
+/**
+ * Check whether a value is a boolean query node
+ * @param {*} value - Fields object or query node
+ * @returns {boolean} True for { op, children } nodes
+ */
+export function isQueryNode(value) {
+  return Boolean(value) && typeof value === 'object' && OPERATORS.includes(value.op) && Array.isArray(value.children);
+}
+
+/**
+ * Check whether a converter note only describes the query layout
+ * @param {string} note - Converter note
+ * @returns {boolean} True for AND/OR-joining, wildcard and fallback notes
+ */
+export function isLayoutNote(note) {
+  return LAYOUT_NOTES.some(pattern => pattern.test(note));
+}
+
+// Helper to check for an unset field value
+function isEmptyValue(value) {
+  return value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0);
+}
+
+// Helper to list the set fields of a flat fields object as [fieldId, values] pairs
+function fieldEntries(fields) {
+  return Object.entries(fields || {})
+    .filter(([, value]) => !isEmptyValue(value))
+    .map(([fieldId, value]) => [fieldId, Array.isArray(value) ? value : [value]]);
+}
+
+/**
+ * Expand the `not` map of flat fields objects into NOT nodes
+ * Each excluded field gets its own NOT, so { not: { org: 'A', country: 'CN' } }
+ * excludes both rather than only their combination
+ * @param {Object} query - Flat fields object or query node
+ * @returns {Object} The query with every `not` map replaced by NOT nodes
+ */
+export function expandExclusions(query) {
+  if (isQueryNode(query)) {
+    return { ...query, children: query.children.map(expandExclusions) };
+  }
+  if (!query || !query.not || typeof query.not !== 'object') {
+    return query;
+  }
+
+  const { not: excluded, ...fields } = query;
+  const exclusions = Object.entries(excluded)
+    .filter(([, value]) => !isEmptyValue(value))
+    .map(([fieldId, value]) => ({ op: 'not', children: [{ [fieldId]: value }] }));
+
+  if (exclusions.length === 0) {
+    return fields;
+  }
+  return { op: 'and', children: [fields, ...exclusions] };
+}
+
+/**
+ * Check whether a query has no top-level AND/OR separators outside quotes and parentheses
+ * @param {string} text - Rendered query
+ * @param {Object} syntax - Engine syntax with and/or separators
+ * @returns {boolean} True if the query can be combined without grouping
+ */
+function isAtomic(text, syntax) {
+  const separators = [syntax.and, syntax.or].map(s => s.toLowerCase());
+  const lower = text.toLowerCase();
+  let depth = 0;
+  let inQuotes = false;
+
+  for (let i = 0; i < lower.length; i++) {
+    const char = lower[i];
+    if (char === '\\') {
+      i++;
+    } else if (char === '"') {
+      inQuotes = !inQuotes;
+    } else if (!inQuotes && char === '(') {
+      depth++;
+    } else if (!inQuotes && char === ')') {
+      depth--;
+    } else if (!inQuotes && depth === 0 && separators.some(s => lower.startsWith(s, i))) {
+      return false;
+    }
+  }
+
+  return true;
+}
+
+/**
+ * Wrap a rendered query in parentheses unless it is a single term
+ * @param {string} text - Rendered query
+ * @param {Object} syntax - Engine syntax with and/or separators
+ * @returns {string} Query safe to combine with other terms
+ */
+export function groupQuery(text, syntax) {
+  return isAtomic(text, syntax) ? text : `(${text})`;
+}
+
+// Helper to join rendered parts with one separator
+function combine(parts, separator, syntax) {
+  if (parts.length === 0) return null;
+  if (parts.length === 1) return parts[0];
+  return parts.map(part => groupQuery(part, syntax)).join(separator);
+}
+
+/**
+ * Render a flat fields object, keeping only notes about the fields themselves
+ * @returns {string|null} Query, or null if nothing could be rendered
+ */
+function renderFields(fields, context) {
+  const result = context.convertFields(fields);
+  const isWildcard = result.notes.some(note => /^No specific fields provided/.test(note));
+
+  result.notes.filter(note => !isLayoutNote(note)).forEach(note => context.notes.push(note));
+  return isWildcard ? null : result.query;
+}
+
+/**
+ * Render a flat fields object under NOT
+ * NOT (a AND b) becomes NOT a OR NOT b, and NOT (a1 OR a2) becomes NOT a1 AND NOT a2,
+ * so the engine only ever negates a single field value
+ */
+function renderNegatedFields(fields, context) {
+  const { syntax } = context;
+  const fieldParts = fieldEntries(fields).map(([fieldId, values]) => {
+    const valueParts = [];
+    values.forEach(value => {
+      const text = renderFields({ [fieldId]: value }, context);
+      if (text === null) return;
+
+      const override = syntax.negateField ? syntax.negateField(fieldId, value, fields) : undefined;
+      const negated = override !== undefined ? override : syntax.negate(text);
+      if (negated === null) {
+        context.notes.push(`Excluding ${fieldId} is not supported by this engine - the exclusion was dropped`);
+      } else {
+        valueParts.push(negated);
+      }
+    });
+    return combine(valueParts, syntax.and, syntax);
+  }).filter(part => part !== null);
+
+  return combine(fieldParts, syntax.or, syntax);
+}
+
+/**
+ * Render a query node, pushing negation down to single field values
+ * @returns {string|null} Query, or null if nothing could be rendered
+ */
+function renderNode(node, negated, context) {
+  if (!isQueryNode(node)) {
+    return negated ? renderNegatedFields(node, context) : renderFields(node, context);
+  }
+
+  if (node.op === 'not') {
+    const child = node.children.length === 1 ? node.children[0] : { op: 'and', children: node.children };
+    return renderNode(child, !negated, context);
+  }
+
+  // De Morgan: a negated AND renders as OR and vice versa
+  const op = (node.op === 'and') !== negated ? 'and' : 'or';
+  const parts = node.children
+    .map(child => renderNode(child, negated, context))
+    .filter(part => part !== null);
+
+  return combine(parts, context.syntax[op], context.syntax);
+}
+
+/**
+ * Render a flat fields object or boolean query node
+ * Flat fields objects are passed straight to the engine's flat converter
+ * @param {Object} query - Flat fields object or query node
+ * @param {Function} convertFields - Engine converter for flat fields objects
+ * @param {Object} syntax - Engine syntax description
+ * @param {string} syntax.and - Separator used to combine filters with AND
+ * @param {string} syntax.or - Separator used to combine filters with OR
+ * @param {Function} syntax.negate - Negates a single rendered filter, or returns null if it cannot
+ * @param {Function} [syntax.negateField] - Field-specific negation (fieldId, value, fields), or undefined to use negate
+ * @returns {Object} { query, notes, fallback }
+ */
+export function renderQueryTree(query, convertFields, syntax) {
+  const tree = expandExclusions(query);
+  if (!isQueryNode(tree)) {
+    return convertFields(tree || {});
+  }
+
+  const context = { convertFields, syntax, notes: [] };
+  const rendered = renderNode(tree, false, context);
+  const notes = [...new Set(context.notes)];
+
+  if (rendered === null) {
+    notes.push("No specific fields provided - using wildcard search");
+  } else {
+    notes.push("Filters combined with nested AND/OR/NOT groups");
+  }
+
+  return {
+    query: rendered === null ? '*' : rendered,
+    notes,
+    fallback: null
+  };
+}
+
+/**
+ * Merge a query node into a single flat fields object for engines without group support
+ * OR groups over one field become that field's multiple values; everything else is approximated
+ * @param {Object} query - Flat fields object or query node
+ * @returns {Object} { fields, exact } where exact is false if groups or negations were lost
+ */
+export function flattenQueryTree(query) {
+  const tree = expandExclusions(query);
+  if (!isQueryNode(tree)) {
+    return { fields: tree || {}, exact: true };
+  }
+
+  const fields = {};
+  let exact = true;
+
+  const addValues = (fieldId, values) => {
+    const existing = fields[fieldId] === undefined ? [] : [].concat(fields[fieldId]);
+    const merged = [...new Set([...existing, ...values])];
+    fields[fieldId] = merged.length === 1 ? merged[0] : merged;
+  };
+
+  const visit = (node) => {
+    if (!isQueryNode(node)) {
+      fieldEntries(node).forEach(([fieldId, values]) => {
+        // Two ANDed filters on one field would turn into an OR of its values
+        if (fields[fieldId] !== undefined) exact = false;
+        addValues(fieldId, values);
+      });
+      return;
+    }
+
+    if (node.op === 'not') {
+      exact = false;
+      return;
+    }
+
+    if (node.op === 'or') {
+      const leaves = node.children.filter(child => !isQueryNode(child));
+      const fieldIds = new Set(leaves.flatMap(leaf => fieldEntries(leaf).map(([fieldId]) => fieldId)));
+      if (leaves.length < node.children.length || fieldIds.size > 1 || [...fieldIds].some(id => fields[id] !== undefined)) {
+        exact = false;
+      }
+      leaves.forEach(leaf => fieldEntries(leaf).forEach(([fieldId, values]) => addValues(fieldId, values)));
+      node.children.filter(isQueryNode).forEach(visit);
+      return;
+    }
+
+    node.children.forEach(visit);
+  };
+
+  visit(tree);
+  return { fields, exact };
+}
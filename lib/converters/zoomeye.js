@@ -0,0 +1,20 @@
+// FILE: lib/converters/zoomeye.js
+
+import { convertWithMappings } from './mappingHelper.js';
+
+/**
+ * ZoomEye query converter
+ * Maps normalized fields to ZoomEye search syntax
+ * Reference: https://www.zoomeye.ai/doc
+ *
+ * Field mappings live in lib/fieldRegistry.js
+ */
+
+export function convert(fields) {
+  return convertWithMappings(fields, {
+    engine: 'zoomeye',
+    name: 'ZoomEye',
+    and: ' && ',
+    or: ' || '
+  });
+}
@@ -0,0 +1,189 @@
+// FILE: lib/faviconHash.js
+
+/**
+ * Favicon hashing
+ * Computes the favicon hashes search engines index, locally and without network calls:
+ * - MurmurHash3 (x86, 32-bit, signed) of the base64-encoded icon, as Shodan, FOFA and ZoomEye use
+ * - MD5 of the raw icon bytes, as Censys, Hunter and Quake use
+ */
+
+const BASE64_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+
+// Shodan hashes the output of Python's base64.encodebytes: newline after every 76 characters and at the end
+const BASE64_LINE_LENGTH = 76;
+
+/**
+ * Encode bytes as base64 the way Shodan does before hashing
+ * @param {Uint8Array} bytes - Raw favicon bytes
+ * @returns {string} Base64 with a newline after every 76 characters and at the end
+ */
+export function encodeFaviconBase64(bytes) {
+  let encoded = '';
+  for (let i = 0; i < bytes.length; i += 3) {
+    const chunk = (bytes[i] << 16) | ((bytes[i + 1] || 0) << 8) | (bytes[i + 2] || 0);
+    encoded += BASE64_ALPHABET[(chunk >> 18) & 63] + BASE64_ALPHABET[(chunk >> 12) & 63];
+    encoded += i + 1 < bytes.length ? BASE64_ALPHABET[(chunk >> 6) & 63] : '=';
+    encoded += i + 2 < bytes.length ? BASE64_ALPHABET[chunk & 63] : '=';
+  }
+
+  let lines = '';
+  for (let i = 0; i < encoded.length; i += BASE64_LINE_LENGTH) {
+    lines += `${encoded.slice(i, i + BASE64_LINE_LENGTH)}\n`;
+  }
+  return lines;
+}
+
+/**
+ * Decode pasted base64, with or without a data: URI prefix and line breaks
+ * @param {string} text - Base64 text
+ * @returns {Uint8Array} Decoded bytes
+ * @throws {Error} If the text is not valid base64
+ */
+export function decodeBase64(text) {
+  const data = String(text).trim().replace(/^data:[^,]*;base64,/i, '').replace(/\s+/g, '');
+  if (data === '' || !/^[A-Za-z0-9+/]+={0,2}$/.test(data) || data.length % 4 === 1) {
+    throw new Error('Not valid base64 data');
+  }
+
+  const digits = data.replace(/=+$/, '');
+  const bytes = new Uint8Array(Math.floor((digits.length * 3) / 4));
+  let buffer = 0;
+  let bits = 0;
+  let index = 0;
+  for (const char of digits) {
+    buffer = (buffer << 6) | BASE64_ALPHABET.indexOf(char);
+    bits += 6;
+    if (bits >= 8) {
+      bits -= 8;
+      bytes[index++] = (buffer >> bits) & 0xff;
+    }
+  }
+  return bytes;
+}
+
+/**
+ * MurmurHash3 x86 32-bit, matching Python's mmh3.hash
+ * @param {Uint8Array|string} input - Bytes, or an ASCII string
+ * @param {number} [seed=0] - Hash seed
+ * @returns {number} Signed 32-bit hash
+ */
+export function murmurHash3(input, seed = 0) {
+  const bytes = typeof input === 'string' ? Uint8Array.from(input, char => char.charCodeAt(0) & 0xff) : input;
+  const c1 = 0xcc9e2d51;
+  const c2 = 0x1b873593;
+  const blockEnd = bytes.length & ~3;
+  let hash = seed | 0;
+
+  const mixKey = key => {
+    key = Math.imul(key, c1);
+    key = (key << 15) | (key >>> 17);
+    return Math.imul(key, c2);
+  };
+
+  for (let i = 0; i < blockEnd; i += 4) {
+    hash ^= mixKey(bytes[i] | (bytes[i + 1] << 8) | (bytes[i + 2] << 16) | (bytes[i + 3] << 24));
+    hash = (hash << 13) | (hash >>> 19);
+    hash = (Math.imul(hash, 5) + 0xe6546b64) | 0;
+  }
+
+  // Remaining 1-3 bytes
+  const tail = bytes.length & 3;
+  if (tail > 0) {
+    let key = 0;
+    if (tail === 3) key ^= bytes[blockEnd + 2] << 16;
+    if (tail >= 2) key ^= bytes[blockEnd + 1] << 8;
+    key ^= bytes[blockEnd];
+    hash ^= mixKey(key);
+  }
+
+  // Finalization mix
+  hash ^= bytes.length;
+  hash ^= hash >>> 16;
+  hash = Math.imul(hash, 0x85ebca6b);
+  hash ^= hash >>> 13;
+  hash = Math.imul(hash, 0xc2b2ae35);
+  hash ^= hash >>> 16;
+  return hash | 0;
+}
+
+// MD5 per-round shift amounts and sine-derived constants (RFC 1321)
+const MD5_SHIFTS = [
+  7, 12, 17, 22, 7, 12, 17, 22, 7, 12, 17, 22, 7, 12, 17, 22,
+  5, 9, 14, 20, 5, 9, 14, 20, 5, 9, 14, 20, 5, 9, 14, 20,
+  4, 11, 16, 23, 4, 11, 16, 23, 4, 11, 16, 23, 4, 11, 16, 23,
+  6, 10, 15, 21, 6, 10, 15, 21, 6, 10, 15, 21, 6, 10, 15, 21
+];
+const MD5_CONSTANTS = Array.from({ length: 64 }, (_, i) => Math.floor(Math.abs(Math.sin(i + 1)) * 2 ** 32) | 0);
+
+/**
+ * MD5 digest - Web Crypto does not offer MD5, so it is computed here
+ * @param {Uint8Array} bytes - Input bytes
+ * @returns {string} Lowercase hex digest
+ */
+export function md5(bytes) {
+  // Pad to a multiple of 64 bytes: 0x80, zeros, then the bit length as a 64-bit little-endian number
+  const paddedLength = (((bytes.length + 8) >> 6) + 1) << 6;
+  const padded = new Uint8Array(paddedLength);
+  padded.set(bytes);
+  padded[bytes.length] = 0x80;
+  const view = new DataView(padded.buffer);
+  view.setUint32(paddedLength - 8, (bytes.length * 8) >>> 0, true);
+  view.setUint32(paddedLength - 4, Math.floor(bytes.length / 0x20000000), true);
+
+  let a0 = 0x67452301;
+  let b0 = 0xefcdab89 | 0;
+  let c0 = 0x98badcfe | 0;
+  let d0 = 0x10325476;
+
+  for (let offset = 0; offset < paddedLength; offset += 64) {
+    let a = a0;
+    let b = b0;
+    let c = c0;
+    let d = d0;
+
+    for (let i = 0; i < 64; i++) {
+      let f;
+      let g;
+      if (i < 16) {
+        f = (b & c) | (~b & d);
+        g = i;
+      } else if (i < 32) {
+        f = (d & b) | (~d & c);
+        g = (5 * i + 1) % 16;
+      } else if (i < 48) {
+        f = b ^ c ^ d;
+        g = (3 * i + 5) % 16;
+      } else {
+        f = c ^ (b | ~d);
+        g = (7 * i) % 16;
+      }
+
+      const sum = (a + f + MD5_CONSTANTS[i] + view.getInt32(offset + g * 4, true)) | 0;
+      a = d;
+      d = c;
+      c = b;
+      b = (b + ((sum << MD5_SHIFTS[i]) | (sum >>> (32 - MD5_SHIFTS[i])))) | 0;
+    }
+
+    a0 = (a0 + a) | 0;
+    b0 = (b0 + b) | 0;
+    c0 = (c0 + c) | 0;
+    d0 = (d0 + d) | 0;
+  }
+
+  const digest = new DataView(new ArrayBuffer(16));
+  [a0, b0, c0, d0].forEach((word, i) => digest.setInt32(i * 4, word, true));
+  return Array.from(new Uint8Array(digest.buffer), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Compute the searchable hashes of a favicon
+ * @param {Uint8Array} bytes - Raw favicon bytes
+ * @returns {Object} { mmh3, md5 } - Shodan-style MurmurHash3 and hex MD5
+ */
+export function hashFavicon(bytes) {
+  return {
+    mmh3: murmurHash3(encodeFaviconBase64(bytes)),
+    md5: md5(bytes)
+  };
+}
@@ -0,0 +1,1179 @@
+// FILE: lib/fieldRegistry.js
+
+import {
+  quote,
+  quoteIfNeeded,
+  phrase,
+  phraseIfNeeded,
+  stripQuotes,
+  escapeLucene,
+  formatLuceneNumeric
+} from './converters/escapeHelper.js';
+import {
+  validateIp,
+  validateCidr,
+  validatePort,
+  validateCountry,
+  validateAsn,
+  validateHttpStatus,
+  validateCve,
+  validateBoolean,
+  validateMurmurHash,
+  validateMd5,
+  validateSha256,
+  validateHttpHeader,
+  validateCertFingerprint,
+  validateCertSerial,
+  validateDate,
+  validateDays,
+  validateRelativeDate,
+  validateJarm,
+  validateJa3s,
+  validateJa4,
+  toUpperCase,
+  toLowerCase,
+  toNumber,
+  stripAsnPrefix,
+  toBoolean,
+  stripFingerprint,
+  toDecimalSerial
+} from './validators.js';
+
+/**
+ * Field registry
+ * Single source of truth for every normalized field: how FieldsForm shows it,
+ * how its input is parsed and how each engine renders it
+ *
+ * Field definition:
+ * - id: key in the normalized fields object
+ * - label, placeholder: form texts
+ * - valueType: 'string' | 'number' | 'boolean' - how form input is parsed
+ * - multiple: whether comma-separated input becomes an array of values
+ * - validate(value): optional, error message for an invalid single value or null (lib/validators.js)
+ * - normalize(value): optional, canonical form of a valid single value (default: trimmed)
+ * - form: whether FieldsForm offers the field
+ * - input: optional FieldsForm widget - 'toggle' for booleans, 'list' for multi-entry,
+ *   'favicon' for hashes computed from a favicon file, 'date' for YYYY-MM-DD dates,
+ *   'relativeDate' for dates with "N days ago" presets (default: text)
+ * - variantOf: optional ID of the field this one refines for specific engines;
+ *   engines without a mapping fall back to the base field instead of reporting it
+ * - engines: engine ID -> mapping
+ *
+ * Engine mapping (a bare function is shorthand for { format }):
+ * - format(value, fields): filter for one value, or null to skip the field
+ * - multiple(values, fields): filter for several values (default: OR group of format)
+ * - negate(value, fields): negated filter, or null if the engine cannot exclude it
+ *   (default: the engine's generic negation of format)
+ * - note: added whenever the mapping is used, for approximations
+ * - unsupported: note explaining why the field is excluded for this engine
+ *
+ * Engines without a mapping for a field report it as unsupported.
+ * Adding a field or an engine is a change to this table only.
+ */
+
+// Transport-layer protocols use a dedicated filter on several engines
+const TRANSPORT_PROTOCOLS = ['tcp', 'udp'];
+
+// Helper to check whether a field holds more than one value
+function hasMultipleValues(value) {
+  return Array.isArray(value) && value.length > 1;
+}
+
+// Shodan has no protocol filter: web protocols match HTTP banners and SSL, other services their product name
+const SHODAN_PROTOCOLS = {
+  http: '"HTTP/1.1"',
+  https: 'has_ssl:true',
+  ssl: 'has_ssl:true',
+  tls: 'has_ssl:true'
+};
+
+// Shodan takes several values of some filters as a native comma-separated list (port:80,443)
+const shodanList = (name, transform = v => v) => ({
+  format: v => `${name}:${phraseIfNeeded(transform(v))}`,
+  multiple: values => `${name}:${values.map(v => phraseIfNeeded(transform(v))).join(',')}`
+});
+
+// Censys searches some attributes in both the host and the web entity; the pair is
+// parenthesized so it stays one term when ANDed with other filters
+const censysEither = (first, second, format = quote) => v => `(${first}${format(v)} or ${second}${format(v)})`;
+
+// Header filters are "Name: value", or a bare name to match any value
+const splitHeader = v => {
+  const [name, ...rest] = String(v).split(':');
+  return { name: name.trim(), value: rest.join(':').trim() };
+};
+const headerText = v => {
+  const { name, value } = splitHeader(v);
+  return value ? `${name}: ${value}` : `${name}:`;
+};
+const censysHeader = v => {
+  const { name, value } = splitHeader(v);
+  return value ? `(key: ${quote(name)} and value: ${quote(value)})` : `(key: ${quote(name)})`;
+};
+
+// Certificate validity windows are resolved to UTC calendar dates when the query is built
+const DAY_MS = 24 * 60 * 60 * 1000;
+const isoDate = (offsetDays = 0) => new Date(Date.now() + offsetDays * DAY_MS).toISOString().slice(0, 10);
+
+// Relative dates such as 7d (7 days ago) become YYYY-MM-DD at conversion time, so saved queries stay fresh
+const resolveDate = v => {
+  const relative = String(v).trim().match(/^(\d+)d$/i);
+  return relative ? isoDate(-Number(relative[1])) : String(v).trim();
+};
+
+// Shodan takes dates as DD/MM/YYYY
+const shodanDate = v => resolveDate(v).split('-').reverse().join('/');
+
+// End of a certificate expiry window N days from now, or null for a value that is not a day count
+const expiryDate = v => (validateDays(v) ? null : isoDate(Number(v)));
+
+// CenQL compares timestamps in RFC 3339 form
+const rfc3339 = date => `${date}T00:00:00Z`;
+
+// SHA-1 fingerprints are 40 hex characters, SHA-256 fingerprints 64
+const fingerprintType = v => (stripFingerprint(v).length === 40 ? 'sha1' : 'sha256');
+
+// OQL has no grouping, so multiple values become optional (OR) filters
+const onypheOptional = format => ({
+  format,
+  multiple: values => values.map(v => `?${format(v)}`).join(' ')
+});
+
+export const FIELDS = [
+  {
+    id: 'ip',
+    label: 'IP Address',
+    placeholder: '1.2.3.4',
+    valueType: 'string',
+    multiple: true,
+    form: true,
+    validate: validateIp,
+    engines: {
+      // Bare IPs cannot be negated, but net: can
+      shodan: { format: v => phraseIfNeeded(v), negate: v => `-net:${phraseIfNeeded(v)}` },
+      censys: v => `host.ip: ${quote(v)}`,
+      fofa: v => `ip=${quote(v)}`,
+      zoomeye: v => `ip=${quote(v)}`,
+      hunter: v => `ip=${quote(v)}`,
+      quake: v => `ip: ${quote(v)}`,
+      netlas: v => `ip:${escapeLucene(v)}`,
+      criminalip: v => `ip:${quoteIfNeeded(v)}`,
+      onyphe: onypheOptional(v => `ip:${quoteIfNeeded(v)}`)
+    }
+  },
+  {
+    id: 'cidr',
+    label: 'CIDR Range',
+    placeholder: '1.2.3.0/24',
+    valueType: 'string',
+    multiple: true,
+    form: true,
+    validate: validateCidr,
+    engines: {
+      shodan: shodanList('net'),
+      censys: { format: v => `host.ip: ${quote(v)}`, note: "CIDR notation uses host.ip: syntax" },
+      fofa: { format: v => `ip=${quote(v)}`, note: "CIDR notation uses ip field" },
+      zoomeye: v => `cidr=${quote(v)}`,
+      hunter: { format: v => `ip=${quote(v)}`, note: "CIDR notation uses ip field" },
+      quake: { format: v => `ip: ${quote(v)}`, note: "CIDR notation uses ip field" },
+      netlas: v => `ip:${quote(v)}`,
+      criminalip: v => `ip:${quoteIfNeeded(v)}`,
+      onyphe: onypheOptional(v => `ip:${quoteIfNeeded(v)}`)
+    }
+  },
+  {
+    id: 'port',
+    label: 'Port',
+    placeholder: '80, 443, 8443',
+    valueType: 'number',
+    multiple: true,
+    form: true,
+    validate: validatePort,
+    normalize: toNumber,
+    engines: {
+      shodan: shodanList('port'),
+      // With a title, Censys matches port and title on the same service (see title)
+      censys: {
+        format: (v, fields) => fields.title ? null : `host.services.port:${quoteIfNeeded(v)}`,
+        multiple: (values, fields) => fields.title ? null : `host.services.port:{${values.map(quote).join(', ')}}`
+      },
+      fofa: {
+        format: v => `port=${quote(v)}`,
+        multiple: (values, fields) => {
+          // When title is present, use specific format: (port=="80" || port=="443" || ...)
+          if (fields.title) {
+            return `(${values.map(p => `port==${quote(p)}`).join(' || ')})`;
+          }
+          // Use ip_ports for multiple ports when country is specified (to match ip_country format)
+          if (fields.country || fields.fofaCountry) {
+            return `ip_ports=${quote(values.join(','))}`;
+          }
+          return `(${values.map(p => `port=${quote(p)}`).join(' || ')})`;
+        }
+      },
+      zoomeye: v => `port=${quoteIfNeeded(v)}`,
+      hunter: v => `ip.port=${quote(v)}`,
+      quake: v => `port: ${quoteIfNeeded(v)}`,
+      netlas: v => `port:${formatLuceneNumeric(v)}`,
+      criminalip: v => `port:${quoteIfNeeded(v)}`,
+      onyphe: onypheOptional(v => `port:${quoteIfNeeded(v)}`)
+    }
+  },
+  {
+    id: 'domain',
+    label: 'Domain/Hostname',
+    placeholder: 'example.com',
+    valueType: 'string',
+    multiple: true,
+    form: true,
+    normalize: toLowerCase,
+    engines: {
+      shodan: v => `hostname:${phraseIfNeeded(v)}`,
+      censys: v => `host.dns.names: ${quote(v)}`,
+      fofa: v => `domain=${quote(v)}`,
+      zoomeye: v => `domain=${quote(v)}`,
+      hunter: v => `domain=${quote(v)}`,
+      quake: v => `domain: ${quote(v)}`,
+      netlas: v => `host:${escapeLucene(v)}`,
+      dork: v => `site:${stripQuotes(v).replace(/\s+/g, '')}`,
+      criminalip: v => `hostname:${quote(v)}`,
+      onyphe: onypheOptional(v => `domain:${quoteIfNeeded(v)}`)
+    }
+  },
+  {
+    id: 'hostname',
+    label: 'Hostname',
+    placeholder: 'server.example.com',
+    valueType: 'string',
+    multiple: true,
+    form: true,
+    normalize: toLowerCase,
+    engines: {
+      shodan: v => `hostname:${phrase(v)}`,
+      censys: censysEither('host.dns.names: ', 'web.hostname: '),
+      fofa: v => `host=${quote(v)}`,
+      zoomeye: v => `hostname=${quote(v)}`,
+      hunter: v => `domain=${quote(v)}`,
+      quake: v => `hostname: ${quote(v)}`,
+      netlas: v => `host:${escapeLucene(v)}`,
+      dork: v => `site:${stripQuotes(v).replace(/\s+/g, '')}`,
+      criminalip: v => `hostname:${quote(v)}`,
+      onyphe: onypheOptional(v => `hostname:${quoteIfNeeded(v)}`)
+    }
+  },
+  {
+    id: 'country',
+    label: 'Country',
+    placeholder: 'US, DE, AE',
+    valueType: 'string',
+    multiple: true,
+    form: true,
+    validate: validateCountry,
+    normalize: toUpperCase,
+    engines: {
+      // A single country stays quoted, multiple countries use the comma list
+      shodan: { format: v => `country:${phrase(v)}`, multiple: shodanList('country').multiple },
+      // A full country name takes precedence over the code
+      censys: (v, fields) => fields.countryFull ? null : `host.location.country_code:${quote(v)}`,
+      // Use ip_country when fofaCountry is specified, or when using ip_ports format
+      fofa: (v, fields) => {
+        if (fields.fofaCountry) return null;
+        const key = hasMultipleValues(fields.port) ? 'ip_country' : 'country';
+        return `${key}=${quote(v)}`;
+      },
+      zoomeye: v => `country=${quote(v)}`,
+      hunter: v => `ip.country=${quote(v)}`,
+      quake: v => `country: ${quote(v)}`,
+      netlas: v => `geo.country:${escapeLucene(v)}`,
+      criminalip: v => `country:${quote(v)}`,
+      onyphe: onypheOptional(v => `country:${quoteIfNeeded(v)}`)
+    }
+  },
+  {
+    id: 'countryFull',
+    label: 'Country Name',
+    placeholder: 'Germany',
+    valueType: 'string',
+    multiple: true,
+    form: true,
+    engines: {
+      censys: v => `host.location.country:${quote(v)}`
+    }
+  },
+  {
+    id: 'fofaCountry',
+    label: 'FOFA IP Country',
+    placeholder: 'CN',
+    valueType: 'string',
+    multiple: true,
+    form: false,
+    variantOf: 'country',
+    validate: validateCountry,
+    normalize: toUpperCase,
+    engines: {
+      fofa: v => `ip_country=${quote(v)}`
+    }
+  },
+  {
+    id: 'city',
+    label: 'City',
+    placeholder: 'New York, London',
+    valueType: 'string',
+    multiple: true,
+    form: true,
+    engines: {
+      shodan: v => `city:${phrase(v)}`,
+      censys: v => `host.location.city: ${quote(v)}`,
+      fofa: v => `city=${quote(v)}`,
+      zoomeye: v => `city=${quote(v)}`,
+      hunter: v => `ip.city=${quote(v)}`,
+      quake: v => `city: ${quote(v)}`,
+      netlas: v => `geo.city:${escapeLucene(v)}`,
+      criminalip: v => `city:${quote(v)}`,
+      onyphe: onypheOptional(v => `city:${quote(v)}`)
+    }
+  },
+  {
+    id: 'org',
+    label: 'Organization',
+    placeholder: 'Cloudflare, Inc.',
+    valueType: 'string',
+    multiple: true,
+    form: true,
+    engines: {
+      shodan: v => `org:${phrase(v)}`,
+      censys: v => `host.autonomous_system.name: ${quote(v)}`,
+      fofa: v => `org=${quote(v)}`,
+      zoomeye: v => `org=${quote(v)}`,
+      hunter: v => `as.org=${quote(v)}`,
+      quake: v => `org: ${quote(v)}`,
+      netlas: v => `whois.net.organization:${escapeLucene(v)}`,
+      criminalip: v => `as_name:${quote(v)}`,
+      onyphe: onypheOptional(v => `organization:${quote(v)}`)
+    }
+  },
+  {
+    id: 'asn',
+    label: 'ASN',
+    placeholder: 'AS13335 or 13335',
+    valueType: 'string',
+    multiple: true,
+    form: true,
+    validate: validateAsn,
+    normalize: stripAsnPrefix,
+    engines: {
+      shodan: shodanList('asn', stripAsnPrefix),
+      censys: v => `host.autonomous_system.asn: ${quoteIfNeeded(stripAsnPrefix(v))}`,
+      fofa: v => `asn=${quote(stripAsnPrefix(v))}`,
+      zoomeye: v => `asn=${quoteIfNeeded(stripAsnPrefix(v))}`,
+      hunter: v => `as.number=${quote(stripAsnPrefix(v))}`,
+      quake: v => `asn: ${quoteIfNeeded(stripAsnPrefix(v))}`,
+      netlas: v => `whois.asn.number:${escapeLucene(stripAsnPrefix(v))}`,
+      criminalip: { unsupported: 'ASN filtering is not supported in Criminal IP and has been excluded from the query - use Organization (as_name) instead' },
+      onyphe: onypheOptional(v => `asn:${quoteIfNeeded(`AS${stripAsnPrefix(v)}`)}`)
+    }
+  },
+  {
+    id: 'httpTitle',
+    label: 'HTTP Title',
+    placeholder: 'Welcome to nginx!',
+    valueType: 'string',
+    multiple: true,
+    form: true,
+    engines: {
+      shodan: v => `http.title:${phrase(v)}`,
+      censys: censysEither('web.endpoints.http.html_title: ', 'host.services.endpoints.http.html_title: '),
+      fofa: v => `title=${quote(v)}`,
+      zoomeye: v => `title=${quote(v)}`,
+      hunter: v => `web.title=${quote(v)}`,
+      quake: v => `title: ${quote(v)}`,
+      netlas: v => `http.title:${escapeLucene(v)}`,
+      dork: v => `intitle:${phrase(v)}`,
+      criminalip: v => `title:${quote(v)}`,
+      onyphe: onypheOptional(v => `app.http.title:${quote(v)}`)
+    }
+  },
+  {
+    id: 'title',
+    label: 'Title',
+    placeholder: 'phpMyAdmin',
+    valueType: 'string',
+    multiple: true,
+    form: true,
+    engines: {
+      shodan: v => `title:${phrase(v)}`,
+      // With ports, match port and title on the same service:
+      // host.services: (port: {80, 443} and endpoints.http.html_title: "phpMyAdmin")
+      censys: (v, fields) => {
+        if (!fields.port || (Array.isArray(fields.port) && fields.port.length === 0)) {
+          return censysEither('host.services.endpoints.http.html_title: ', 'web.endpoints.http.html_title: ')(v);
+        }
+        const ports = Array.isArray(fields.port) ? fields.port : [fields.port];
+        const port = ports.length === 1 ? quoteIfNeeded(ports[0]) : `{${ports.map(quoteIfNeeded).join(', ')}}`;
+        return `(host.services: (port: ${port} and endpoints.http.html_title: ${quote(v)}) or web.endpoints.http.html_title: ${quote(v)})`;
+      },
+      fofa: v => `title=${quote(v)}`,
+      zoomeye: v => `title=${quote(v)}`,
+      hunter: v => `web.title=${quote(v)}`,
+      quake: v => `title: ${quote(v)}`,
+      netlas: v => `http.title:${escapeLucene(v)}`,
+      dork: v => `intitle:${phrase(v)}`,
+      criminalip: v => `title:${quote(v)}`,
+      onyphe: onypheOptional(v => `app.http.title:${quote(v)}`)
+    }
+  },
+  {
+    id: 'httpStatus',
+    label: 'HTTP Status',
+    placeholder: '200, 404, 500',
+    valueType: 'string',
+    multiple: true,
+    form: true,
+    validate: validateHttpStatus,
+    engines: {
+      shodan: v => `http.status:${phraseIfNeeded(v)}`,
+      censys: censysEither('web.endpoints.http.status_code: ', 'host.services.endpoints.http.status_code: ', quoteIfNeeded),
+      fofa: { format: v => `header=${quote(v)}`, note: "HTTP status search uses header field in FOFA" },
+      zoomeye: v => `http.header.status_code=${quote(v)}`,
+      hunter: v => `header.status_code=${quote(v)}`,
+      quake: v => `status_code: ${quoteIfNeeded(v)}`,
+      netlas: v => `http.status_code:${formatLuceneNumeric(v)}`,
+      criminalip: v => `status_code:${quoteIfNeeded(v)}`,
+      onyphe: { unsupported: 'HTTP status filtering is not supported in ONYPHE datascan and has been excluded from the query' }
+    }
+  },
+  {
+    id: 'serverHeader',
+    label: 'Server Header',
+    placeholder: 'nginx/1.18.0',
+    valueType: 'string',
+    multiple: true,
+    form: true,
+    engines: {
+      // Shodan searches for "Server: value" in HTTP response data
+      shodan: {
+        format: v => phrase(`Server: ${v}`),
+        note: "Server header search uses literal string matching in HTTP response data"
+      },
+      censys: censysEither('web.endpoints.http.headers: (key: "Server" and value: ', 'host.services.endpoints.http.headers: (key: "Server" and value: ', v => `${quote(v)})`),
+      fofa: v => `server=${quote(v)}`,
+      zoomeye: v => `http.header.server=${quote(v)}`,
+      hunter: v => `header.server=${quote(v)}`,
+      quake: v => `server: ${quote(v)}`,
+      netlas: v => `http.headers.server:${escapeLucene(v)}`,
+      dork: {
+        format: v => phrase(`Server: ${v}`),
+        note: "Server header search only matches pages that print the header in their text"
+      },
+      criminalip: {
+        format: v => quote(`Server: ${v}`),
+        note: "Server header search uses literal string matching in Criminal IP banners"
+      },
+      onyphe: onypheOptional(v => `app.http.header.server:${quote(v)}`)
+    }
+  },
+  {
+    id: 'banner',
+    label: 'Banner',
+    placeholder: 'SSH-2.0-OpenSSH',
+    valueType: 'string',
+    multiple: true,
+    form: true,
+    engines: {
+      shodan: v => phrase(v),
+      censys: v => `services.http.response.body: ${quote(v)}`,
+      fofa: v => `body=${quote(v)}`,
+      zoomeye: v => `banner=${quote(v)}`,
+      hunter: v => `web.body=${quote(v)}`,
+      quake: v => `response: ${quote(v)}`,
+      netlas: v => `http.body:${escapeLucene(v)}`,
+      dork: v => phrase(v),
+      criminalip: v => quote(v),
+      onyphe: onypheOptional(v => `data:${quote(v)}`)
+    }
+  },
+  {
+    id: 'httpPath',
+    label: 'URL Path',
+    placeholder: '/admin',
+    valueType: 'string',
+    multiple: true,
+    form: true,
+    engines: {
+      shodan: { unsupported: 'Shodan does not index URL paths - search the page content with HTTP Body instead' },
+      censys: censysEither('web.endpoints.path: ', 'host.services.endpoints.path: '),
+      fofa: { unsupported: 'FOFA does not index URL paths - search the page content with HTTP Body instead' },
+      zoomeye: { format: v => `banner=${quote(v)}`, note: "HTTP path search uses banner matching in ZoomEye" },
+      hunter: { format: v => `web.body=${quote(v)}`, note: "HTTP path search uses web.body in Hunter" },
+      quake: v => `http_path: ${quote(v)}`,
+      netlas: v => `path:${escapeLucene(v)}`,
+      dork: {
+        format: v => `inurl:${phrase(v)}`,
+        note: "Bing does not support inurl: - use instreamset:url: there instead"
+      },
+      criminalip: { unsupported: 'HTTP path filtering is not supported in Criminal IP and has been excluded from the query' },
+      onyphe: onypheOptional(v => `url:${quote(v)}`)
+    }
+  },
+  {
+    id: 'httpHeader',
+    label: 'HTTP Header',
+    placeholder: 'X-Powered-By: PHP/8.1',
+    valueType: 'string',
+    multiple: true,
+    form: true,
+    validate: validateHttpHeader,
+    engines: {
+      shodan: {
+        format: v => phrase(headerText(v)),
+        note: "Header search uses literal string matching in HTTP response data"
+      },
+      censys: censysEither('web.endpoints.http.headers: ', 'host.services.endpoints.http.headers: ', censysHeader),
+      fofa: v => `header=${quote(headerText(v))}`,
+      zoomeye: v => `http.header=${quote(headerText(v))}`,
+      hunter: v => `header=${quote(headerText(v))}`,
+      quake: v => `headers: ${quote(headerText(v))}`,
+      // Netlas indexes each header under its lower-case name with underscores (x_powered_by)
+      netlas: v => {
+        const { name, value } = splitHeader(v);
+        return `http.headers.${name.toLowerCase().replace(/[^a-z0-9]/g, '_')}:${value ? escapeLucene(value) : '*'}`;
+      },
+      criminalip: {
+        format: v => quote(headerText(v)),
+        note: "Header search uses literal string matching in Criminal IP banners"
+      }
+    }
+  },
+  {
+    id: 'httpBody',
+    label: 'HTTP Body',
+    placeholder: 'Powered by WordPress',
+    valueType: 'string',
+    multiple: true,
+    form: true,
+    engines: {
+      shodan: v => `http.html:${phrase(v)}`,
+      censys: censysEither('web.endpoints.http.body: ', 'host.services.endpoints.http.body: '),
+      fofa: v => `body=${quote(v)}`,
+      hunter: v => `web.body=${quote(v)}`,
+      quake: v => `body: ${quote(v)}`,
+      netlas: v => `http.body:${escapeLucene(v)}`,
+      dork: v => `intext:${phrase(v)}`
+    }
+  },
+  {
+    id: 'htmlHash',
+    label: 'HTML Hash',
+    placeholder: '-1957161625',
+    valueType: 'string',
+    multiple: true,
+    form: true,
+    validate: validateMurmurHash,
+    engines: {
+      shodan: v => `http.html_hash:${phraseIfNeeded(v)}`,
+      fofa: v => `body_hash=${quote(v)}`
+    }
+  },
+  {
+    id: 'bodySha256',
+    label: 'Body SHA-256',
+    placeholder: 'e3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855',
+    valueType: 'string',
+    multiple: true,
+    form: true,
+    validate: validateSha256,
+    normalize: toLowerCase,
+    engines: {
+      shodan: { unsupported: 'Shodan only indexes MurmurHash3 HTML hashes - use HTML Hash instead' },
+      censys: censysEither('web.endpoints.http.body_hash_sha256: ', 'host.services.endpoints.http.body_hash_sha256: '),
+      fofa: { unsupported: 'FOFA only indexes MurmurHash3 body hashes - use HTML Hash instead' },
+      netlas: v => `http.body_sha256:${escapeLucene(v)}`
+    }
+  },
+  {
+    id: 'faviconHash',
+    label: 'Favicon Hash',
+    placeholder: '-1137972813',
+    valueType: 'string',
+    multiple: true,
+    form: true,
+    input: 'favicon',
+    validate: validateMurmurHash,
+    engines: {
+      shodan: v => `http.favicon.hash:${phraseIfNeeded(v)}`,
+      censys: censysEither('host.services.endpoints.http.favicons.hash_shodan: ', 'web.endpoints.http.favicons.hash_shodan: ', quoteIfNeeded),
+      fofa: v => `icon_hash=${quote(v)}`,
+      zoomeye: v => `iconhash=${quote(v)}`,
+      hunter: { unsupported: 'Hunter only searches favicon MD5 hashes - use Favicon MD5 instead' },
+      quake: { unsupported: 'Quake only searches favicon MD5 hashes - use Favicon MD5 instead' }
+    }
+  },
+  {
+    id: 'faviconMd5',
+    label: 'Favicon MD5',
+    placeholder: 'f3418a443e7d841097c714d69ec4bcb8',
+    valueType: 'string',
+    multiple: true,
+    form: true,
+    validate: validateMd5,
+    normalize: toLowerCase,
+    engines: {
+      censys: censysEither('host.services.endpoints.http.favicons.hash_md5: ', 'web.endpoints.http.favicons.hash_md5: '),
+      zoomeye: v => `iconhash=${quote(v)}`,
+      hunter: v => `web.icon=${quote(v)}`,
+      quake: v => `favicon: ${quote(v)}`,
+      shodan: { unsupported: 'Shodan only searches favicon MurmurHash3 hashes - use Favicon Hash instead' },
+      fofa: { unsupported: 'FOFA only searches favicon MurmurHash3 hashes - use Favicon Hash instead' }
+    }
+  },
+  {
+    id: 'product',
+    label: 'Product/Service',
+    placeholder: 'nginx, Apache',
+    valueType: 'string',
+    multiple: true,
+    form: true,
+    engines: {
+      // Shodan product filter syntax: product:value (no quotes around value)
+      shodan: v => `product:${phraseIfNeeded(v)}`,
+      censys: censysEither('host.services.software.product: ', 'web.software.product: '),
+      fofa: v => `product=${quote(v)}`,
+      zoomeye: v => `app=${quote(v)}`,
+      hunter: v => `app.name=${quote(v)}`,
+      quake: v => `app: ${quote(v)}`,
+      netlas: {
+        format: v => `tag.name:${escapeLucene(String(v).toLowerCase())}`,
+        note: "Product search uses Netlas technology tags"
+      },
+      criminalip: v => `product:${quote(v)}`,
+      onyphe: onypheOptional(v => `product:${quote(v)}`)
+    }
+  },
+  {
+    id: 'version',
+    label: 'Version',
+    placeholder: '1.18.0, 2.4.41',
+    valueType: 'string',
+    multiple: true,
+    form: true,
+    engines: {
+      shodan: v => `version:${phrase(v)}`,
+      censys: {
+        format: censysEither('host.services.software.version: ', 'web.software.version: '),
+        multiple: values => `(${values.map(censysEither('host.services.software.version: ', 'web.software.version: ')).join(' or ')})`
+      },
+      fofa: v => `version=${quote(v)}`,
+      zoomeye: v => `version=${quote(v)}`,
+      hunter: v => `app.version=${quote(v)}`,
+      quake: v => `version: ${quote(v)}`,
+      netlas: { unsupported: 'Version filtering is not supported in Netlas and has been excluded from the query' },
+      criminalip: v => `product_version:${quote(v)}`,
+      onyphe: onypheOptional(v => `productversion:${quote(v)}`)
+    }
+  },
+  {
+    id: 'os',
+    label: 'Operating System',
+    placeholder: 'Linux, Windows',
+    valueType: 'string',
+    multiple: true,
+    form: true,
+    engines: {
+      shodan: v => `os:${phrase(v)}`,
+      censys: v => `host.operating_system.product: ${quote(v)}`,
+      fofa: v => `os=${quote(v)}`,
+      zoomeye: v => `os=${quote(v)}`,
+      hunter: v => `ip.os=${quote(v)}`,
+      quake: v => `os: ${quote(v)}`,
+      netlas: { unsupported: 'Operating system filtering is not supported in Netlas and has been excluded from the query' },
+      criminalip: v => `os:${quote(v)}`,
+      onyphe: onypheOptional(v => `os:${quote(v)}`)
+    }
+  },
+  {
+    id: 'ssl',
+    label: 'SSL Certificate',
+    placeholder: '*.example.com',
+    valueType: 'string',
+    multiple: true,
+    form: true,
+    engines: {
+      shodan: v => `ssl:${phrase(v)}`,
+      censys: v => `host.services.cert.names: ${quote(v)}`,
+      fofa: v => `cert=${quote(v)}`,
+      zoomeye: v => `ssl=${quote(v)}`,
+      hunter: v => `cert=${quote(v)}`,
+      quake: v => `cert: ${quote(v)}`,
+      netlas: v => `certificate.subject_alt_name.dns_names:${escapeLucene(v)}`,
+      criminalip: v => `ssl_subject:${quote(v)}`,
+      onyphe: onypheOptional(v => `tls.subject.commonname:${quote(v)}`)
+    }
+  },
+  {
+    id: 'tlsCN',
+    label: 'TLS Common Name',
+    placeholder: '*.example.com',
+    valueType: 'string',
+    multiple: true,
+    form: true,
+    engines: {
+      shodan: v => `ssl.cert.subject.cn:${phrase(v)}`,
+      censys: v => `host.services.cert.parsed.subject.common_name = ${quote(v)}`,
+      fofa: { format: v => `cert=${quote(v)}`, note: "TLS CN search uses cert field" },
+      zoomeye: v => `ssl.cert.subject.cn=${quote(v)}`,
+      hunter: v => `cert.subject=${quote(v)}`,
+      quake: { format: v => `cert: ${quote(v)}`, note: "TLS CN search uses the full-text cert field in Quake" },
+      netlas: v => `certificate.subject.common_name:${escapeLucene(v)}`,
+      criminalip: v => `ssl_subject:${quote(v)}`,
+      onyphe: onypheOptional(v => `tls.subject.commonname:${quote(v)}`)
+    }
+  },
+  {
+    id: 'tlsSubject',
+    label: 'SSL/TLS Certificate Subject',
+    placeholder: 'CN=example.com, O=Organization',
+    valueType: 'string',
+    multiple: true,
+    form: true,
+    engines: {
+      // Shodan uses ssl.cert.subject.cn:value (no quotes)
+      shodan: v => `ssl.cert.subject.cn:${phraseIfNeeded(v)}`,
+      censys: v => `host.services.cert.parsed.subject.common_name = ${quote(v)}`,
+      fofa: v => `cert.subject.cn=${quote(v)}`,
+      zoomeye: v => `ssl.cert.subject.cn=${quote(v)}`,
+      hunter: v => `cert.subject=${quote(v)}`,
+      quake: { format: v => `cert: ${quote(v)}`, note: "TLS subject search uses the full-text cert field in Quake" },
+      netlas: v => `certificate.subject.common_name:${escapeLucene(v)}`,
+      criminalip: v => `ssl_subject:${quote(v)}`,
+      onyphe: onypheOptional(v => `tls.subject.commonname:${quote(v)}`)
+    }
+  },
+  {
+    id: 'tlsSAN',
+    label: 'TLS Subject Alt Name',
+    placeholder: 'www.example.com',
+    valueType: 'string',
+    multiple: true,
+    form: true,
+    engines: {
+      shodan: v => `ssl.cert.extensions.subject_alt_name:${phrase(v)}`,
+      censys: v => `certificates.parsed.extensions.subject_alt_name.dns_names: ${quote(v)}`,
+      fofa: { format: v => `cert=${quote(v)}`, note: "TLS SAN search uses cert field" },
+      zoomeye: { format: v => `ssl=${quote(v)}`, note: "TLS SAN search uses the ssl field" },
+      hunter: { format: v => `cert=${quote(v)}`, note: "TLS SAN search uses cert field" },
+      quake: { format: v => `cert: ${quote(v)}`, note: "TLS SAN search uses the full-text cert field in Quake" },
+      netlas: v => `certificate.subject_alt_name.dns_names:${escapeLucene(v)}`,
+      criminalip: { unsupported: 'TLS SAN filtering is not supported in Criminal IP and has been excluded from the query' },
+      onyphe: onypheOptional(v => `tls.subject.altname:${quote(v)}`)
+    }
+  },
+  {
+    id: 'tlsIssuer',
+    label: 'TLS Issuer',
+    placeholder: "Let's Encrypt",
+    valueType: 'string',
+    multiple: true,
+    form: true,
+    engines: {
+      shodan: v => `ssl.cert.issuer.cn:${phrase(v)}`,
+      censys: v => `certificates.parsed.issuer.common_name = ${quote(v)}`,
+      fofa: { format: v => `cert=${quote(v)}`, note: "TLS Issuer search uses cert field" },
+      zoomeye: v => `ssl.cert.issuer.cn=${quote(v)}`,
+      hunter: v => `cert.issuer=${quote(v)}`,
+      quake: { format: v => `cert: ${quote(v)}`, note: "TLS issuer search uses the full-text cert field in Quake" },
+      netlas: v => `certificate.issuer.common_name:${escapeLucene(v)}`,
+      criminalip: v => `ssl_issuer:${quote(v)}`,
+      onyphe: onypheOptional(v => `tls.issuer.commonname:${quote(v)}`)
+    }
+  },
+  {
+    id: 'certFingerprint',
+    label: 'Certificate Fingerprint',
+    placeholder: 'SHA-256 or SHA-1 hex',
+    valueType: 'string',
+    multiple: true,
+    form: true,
+    validate: validateCertFingerprint,
+    normalize: stripFingerprint,
+    engines: {
+      shodan: v => `ssl.cert.fingerprint:${phraseIfNeeded(stripFingerprint(v))}`,
+      censys: v => `host.services.cert.fingerprint_${fingerprintType(v)}: ${quote(stripFingerprint(v))}`,
+      netlas: v => `certificate.fingerprint_${fingerprintType(v)}:${escapeLucene(stripFingerprint(v))}`
+    }
+  },
+  {
+    id: 'certSerial',
+    label: 'Certificate Serial',
+    placeholder: '04:a3:5f:... or decimal',
+    valueType: 'string',
+    multiple: true,
+    form: true,
+    validate: validateCertSerial,
+    normalize: toDecimalSerial,
+    engines: {
+      // Both engines index serials as decimal numbers
+      shodan: v => `ssl.cert.serial:${phraseIfNeeded(toDecimalSerial(v))}`,
+      censys: v => `host.services.cert.parsed.serial_number: ${quote(toDecimalSerial(v))}`
+    }
+  },
+  {
+    id: 'selfSigned',
+    label: 'Self-Signed Certificate',
+    placeholder: '',
+    valueType: 'boolean',
+    multiple: false,
+    form: true,
+    input: 'toggle',
+    validate: validateBoolean,
+    normalize: toBoolean,
+    engines: {
+      shodan: {
+        format: v => `${toBoolean(v) ? '' : '-'}tag:self-signed`,
+        negate: v => `${toBoolean(v) ? '-' : ''}tag:self-signed`,
+        note: "Self-signed search uses Shodan's self-signed tag"
+      },
+      censys: v => `host.services.cert.parsed.signature.self_signed: ${toBoolean(v)}`,
+      netlas: v => `certificate.signature.self_signed:${toBoolean(v)}`
+    }
+  },
+  {
+    id: 'certExpiresWithin',
+    label: 'Certificate Expires Within (days)',
+    placeholder: '30',
+    valueType: 'number',
+    multiple: false,
+    form: true,
+    validate: validateDays,
+    normalize: toNumber,
+    engines: {
+      shodan: { unsupported: 'Shodan cannot filter certificates by validity dates - use Expired Certificate instead' },
+      censys: v => expiryDate(v) && `host.services.cert.parsed.validity_period.not_after: [${quote(rfc3339(isoDate()))} to ${quote(rfc3339(expiryDate(v)))}]`,
+      fofa: {
+        format: v => expiryDate(v) && `cert.not_after.after=${quote(isoDate())} && cert.not_after.before=${quote(expiryDate(v))}`,
+        // Outside the window: already expired or expiring later
+        negate: v => expiryDate(v) && `(cert.not_after.before=${quote(isoDate())} || cert.not_after.after=${quote(expiryDate(v))})`
+      },
+      netlas: v => expiryDate(v) && `certificate.validity.end:[${isoDate()} TO ${expiryDate(v)}]`
+    }
+  },
+  {
+    id: 'certIssuedAfter',
+    label: 'Certificate Issued After',
+    placeholder: '2025-01-01',
+    valueType: 'string',
+    multiple: false,
+    form: true,
+    input: 'date',
+    validate: validateDate,
+    engines: {
+      shodan: { unsupported: 'Shodan cannot filter certificates by validity dates and has excluded Certificate Issued After from the query' },
+      censys: v => `host.services.cert.parsed.validity_period.not_before >= ${quote(rfc3339(v))}`,
+      fofa: { format: v => `cert.not_before.after=${quote(v)}`, negate: v => `cert.not_before.before=${quote(v)}` },
+      netlas: v => `certificate.validity.start:>=${escapeLucene(v)}`
+    }
+  },
+  {
+    id: 'jarm',
+    label: 'JARM',
+    placeholder: '07d14d16d21d21d07c42d41d00041d24a458a375eef0c576d23a7bab9a9fb1',
+    valueType: 'string',
+    multiple: true,
+    form: true,
+    validate: validateJarm,
+    normalize: toLowerCase,
+    engines: {
+      shodan: v => `ssl.jarm:${phraseIfNeeded(v)}`,
+      censys: v => `host.services.jarm.fingerprint: ${quote(v)}`,
+      fofa: v => `jarm=${quote(v)}`,
+      netlas: v => `jarm:${escapeLucene(v)}`
+    }
+  },
+  {
+    id: 'ja3s',
+    label: 'JA3S',
+    placeholder: 'eb1d94daa7e0344597e756a1fb6e7054',
+    valueType: 'string',
+    multiple: true,
+    form: true,
+    validate: validateJa3s,
+    normalize: toLowerCase,
+    engines: {
+      shodan: v => `ssl.ja3s:${phraseIfNeeded(v)}`,
+      censys: { unsupported: 'Censys does not index JA3S fingerprints - search by JARM or JA4 instead' },
+      fofa: { unsupported: 'FOFA does not index JA3S fingerprints - search by JARM instead' }
+    }
+  },
+  {
+    id: 'ja4',
+    label: 'JA4',
+    placeholder: 't13d1516h2_8daaf6152771_02713d6af862',
+    valueType: 'string',
+    multiple: true,
+    form: true,
+    validate: validateJa4,
+    normalize: toLowerCase,
+    engines: {
+      shodan: { unsupported: 'Shodan does not index JA4 fingerprints - search by JARM or JA3S instead' },
+      censys: v => `host.services.tls.ja4: ${quote(v)}`,
+      fofa: { unsupported: 'FOFA does not index JA4 fingerprints - search by JARM instead' }
+    }
+  },
+  {
+    id: 'protocol',
+    label: 'Protocol',
+    placeholder: 'tcp, http',
+    valueType: 'string',
+    multiple: true,
+    form: true,
+    engines: {
+      shodan: {
+        format: v => {
+          const protocol = String(v).toLowerCase();
+          if (TRANSPORT_PROTOCOLS.includes(protocol)) return `transport:${protocol}`;
+          return SHODAN_PROTOCOLS[protocol] || `product:${phrase(v)}`;
+        },
+        note: "Shodan has no protocol filter - tcp/udp use transport:, HTTP matches HTTP/1.1 banners, HTTPS/SSL/TLS use has_ssl:true and other protocols use product:"
+      },
+      censys: {
+        format: v => `host.services.protocol:${quote(v)}`,
+        // Use array notation: host.services.protocol:{"HTTP", "HTTPS"}
+        multiple: values => `host.services.protocol:{${values.map(quote).join(', ')}}`
+      },
+      // tcp/udp use base_protocol, application protocols the protocol filter
+      fofa: v => {
+        const protocol = String(v).toLowerCase();
+        return TRANSPORT_PROTOCOLS.includes(protocol)
+          ? `base_protocol=${quote(protocol)}`
+          : `protocol=${quote(protocol)}`;
+      },
+      zoomeye: {
+        format: v => `service=${quote(String(v).toLowerCase())}`,
+        note: "Protocol search uses the ZoomEye service filter"
+      },
+      hunter: v => {
+        const protocol = String(v).toLowerCase();
+        return TRANSPORT_PROTOCOLS.includes(protocol)
+          ? `protocol.transport=${quote(protocol)}`
+          : `protocol=${quote(protocol)}`;
+      },
+      quake: v => {
+        const protocol = String(v).toLowerCase();
+        return TRANSPORT_PROTOCOLS.includes(protocol)
+          ? `transport: ${quote(protocol)}`
+          : `service: ${quote(protocol)}`;
+      },
+      netlas: v => {
+        const protocol = String(v).toLowerCase();
+        return TRANSPORT_PROTOCOLS.includes(protocol)
+          ? `prot4:${protocol}`
+          : `protocol:${escapeLucene(protocol)}`;
+      },
+      criminalip: v => `service:${quote(String(v).toLowerCase())}`,
+      onyphe: onypheOptional(v => {
+        const protocol = String(v).toLowerCase();
+        return TRANSPORT_PROTOCOLS.includes(protocol) ? `transport:${protocol}` : `protocol:${quoteIfNeeded(protocol)}`;
+      })
+    }
+  },
+  {
+    id: 'vuln',
+    label: 'Vulnerability (CVE)',
+    placeholder: 'CVE-2021-44228',
+    valueType: 'string',
+    multiple: true,
+    form: true,
+    input: 'list',
+    validate: validateCve,
+    normalize: toUpperCase,
+    engines: {
+      shodan: shodanList('vuln'),
+      censys: {
+        format: censysEither('host.services.vulns.id:', 'web.vulns.id:'),
+        multiple: values => `(${values.map(censysEither('host.services.vulns.id:', 'web.vulns.id:')).join(' or ')})`
+      },
+      fofa: { unsupported: 'CVE/vulnerability filtering is not supported in FOFA and has been excluded from the query' },
+      zoomeye: v => `vul.cve=${quote(v)}`,
+      hunter: { unsupported: 'CVE/vulnerability filtering is not supported in Hunter and has been excluded from the query' },
+      quake: { unsupported: 'CVE/vulnerability filtering is not supported in Quake and has been excluded from the query' },
+      netlas: v => `cve.name:${escapeLucene(v)}`,
+      criminalip: v => `cve_id:${quoteIfNeeded(v)}`,
+      onyphe: onypheOptional(v => `cve:${quoteIfNeeded(v)}`)
+    }
+  },
+  {
+    id: 'expiredCert',
+    label: 'Expired Certificate',
+    placeholder: '',
+    valueType: 'boolean',
+    multiple: false,
+    form: true,
+    input: 'toggle',
+    validate: validateBoolean,
+    normalize: toBoolean,
+    engines: {
+      shodan: v => `ssl.cert.expired:${toBoolean(v)}`,
+      censys: v => `cert.parsed.validity_period.not_after ${toBoolean(v) ? '<=' : '>'} "now"`,
+      fofa: v => `cert.is_expired=${toBoolean(v)}`,
+      zoomeye: { unsupported: 'Expired certificate filtering is not supported in ZoomEye and has been excluded from the query' },
+      hunter: v => `cert.is_expired=${toBoolean(v)}`,
+      quake: { unsupported: 'Expired certificate filtering is not supported in Quake and has been excluded from the query' },
+      netlas: {
+        format: v => `certificate.validity.end:${toBoolean(v) ? '<' : '>'}now`,
+        note: "Expired certificate search compares certificate.validity.end with the current date"
+      },
+      criminalip: { unsupported: 'Expired certificate filtering is not supported in Criminal IP and has been excluded from the query' },
+      onyphe: { unsupported: 'Expired certificate filtering is not supported in ONYPHE and has been excluded from the query' }
+    }
+  },
+  {
+    id: 'seenAfter',
+    label: 'Seen After',
+    placeholder: '2025-01-01 or 7d',
+    valueType: 'string',
+    multiple: false,
+    form: true,
+    input: 'relativeDate',
+    validate: validateRelativeDate,
+    normalize: toLowerCase,
+    engines: {
+      // Excluding "after a date" keeps what was seen before it
+      shodan: { format: v => `after:${shodanDate(v)}`, negate: v => `before:${shodanDate(v)}` },
+      censys: v => `host.last_updated_at >= ${quote(rfc3339(resolveDate(v)))}`,
+      fofa: { format: v => `after=${quote(resolveDate(v))}`, negate: v => `before=${quote(resolveDate(v))}` },
+      zoomeye: { format: v => `after=${quote(resolveDate(v))}`, negate: v => `before=${quote(resolveDate(v))}` },
+      hunter: { unsupported: 'Hunter limits time ranges with the start_time API parameter, not in the query - Seen After has been excluded' },
+      netlas: v => `last_updated:>=${escapeLucene(resolveDate(v))}`,
+      dork: {
+        format: v => `after:${resolveDate(v)}`,
+        negate: v => `before:${resolveDate(v)}`,
+        note: "Date filtering uses Google's after: operator, which matches publication dates and is ignored by Bing"
+      }
+    }
+  },
+  {
+    id: 'seenBefore',
+    label: 'Seen Before',
+    placeholder: '2025-06-30 or 30d',
+    valueType: 'string',
+    multiple: false,
+    form: true,
+    input: 'relativeDate',
+    validate: validateRelativeDate,
+    normalize: toLowerCase,
+    engines: {
+      shodan: { format: v => `before:${shodanDate(v)}`, negate: v => `after:${shodanDate(v)}` },
+      censys: v => `host.last_updated_at <= ${quote(rfc3339(resolveDate(v)))}`,
+      fofa: { format: v => `before=${quote(resolveDate(v))}`, negate: v => `after=${quote(resolveDate(v))}` },
+      zoomeye: { format: v => `before=${quote(resolveDate(v))}`, negate: v => `after=${quote(resolveDate(v))}` },
+      hunter: { unsupported: 'Hunter limits time ranges with the end_time API parameter, not in the query - Seen Before has been excluded' },
+      netlas: v => `last_updated:<=${escapeLucene(resolveDate(v))}`,
+      dork: {
+        format: v => `before:${resolveDate(v)}`,
+        negate: v => `after:${resolveDate(v)}`,
+        note: "Date filtering uses Google's before: operator, which matches publication dates and is ignored by Bing"
+      }
+    }
+  }
+];
+
+/**
+ * Get a field definition
+ * @param {string} fieldId - Field ID
+ * @returns {Object|undefined} Field definition
+ */
+export function getField(fieldId) {
+  return FIELDS.find(field => field.id === fieldId);
+}
+
+/**
+ * Get the fields offered in FieldsForm, in registry order
+ * @returns {Array<Object>} Field definitions
+ */
+export function getFormFields() {
+  return FIELDS.filter(field => field.form);
+}
+
+/**
+ * Get how an engine renders a field
+ * @param {string} fieldId - Field ID
+ * @param {string} engineId - Engine ID
+ * @returns {Object|null} { format, multiple, negate, note } or { unsupported },
+ *   or null if the field is unknown or the engine has no mapping for it
+ */
+export function getEngineMapping(fieldId, engineId) {
+  const field = getField(fieldId);
+  const mapping = field ? field.engines[engineId] : null;
+  if (!mapping) return null;
+  return typeof mapping === 'function' ? { format: mapping } : mapping;
+}
+
+/**
+ * Check whether an engine can render a field
+ * @param {string} fieldId - Field ID
+ * @param {string} engineId - Engine ID
+ * @returns {boolean} True if the engine has a mapping for the field
+ */
+export function isFieldSupported(fieldId, engineId) {
+  const mapping = getEngineMapping(fieldId, engineId);
+  return Boolean(mapping) && !mapping.unsupported;
+}
+
+/**
+ * Build the note for a field an engine has no mapping for
+ * @param {Object} field - Field definition
+ * @param {string} engineName - Engine name used in the note
+ * @returns {string} Unsupported note
+ */
+export function unsupportedNote(field, engineName) {
+  return `${field.label} filtering is not supported in ${engineName} and has been excluded from the query`;
+}
+
+/**
+ * Describe how well an engine supports a field
+ * - native: the engine has a dedicated filter
+ * - approximate: the field is mapped onto a related filter, explained by the mapping note
+ * - unsupported: the field is excluded from the engine's queries
+ * @param {string} fieldId - Field ID
+ * @param {string} engineId - Engine ID
+ * @param {string} engineName - Engine name used in the default unsupported note
+ * @returns {Object} { level, note } with note null for native support
+ */
+export function getFieldSupport(fieldId, engineId, engineName) {
+  const mapping = getEngineMapping(fieldId, engineId);
+  if (mapping && !mapping.unsupported) {
+    return mapping.note ? { level: 'approximate', note: mapping.note } : { level: 'native', note: null };
+  }
+
+  const field = getField(fieldId);
+  return {
+    level: 'unsupported',
+    note: mapping ? mapping.unsupported : field ? unsupportedNote(field, engineName) : null
+  };
+}
+
+/**
+ * Check whether the registry has mappings for an engine
+ * Converter plugins render fields themselves and are not described here
+ * @param {string} engineId - Engine ID
+ * @returns {boolean} True if any field maps to the engine
+ */
+export function isRegistryEngine(engineId) {
+  return FIELDS.some(field => Boolean(field.engines[engineId]));
+}
+
+/**
+ * Describe the registry without its mapping functions, for API responses
+ * @returns {Array<Object>} { id, label, placeholder, valueType, multiple, form, input, variantOf }
+ */
+export function describeFields() {
+  return FIELDS.map(({ id, label, placeholder, valueType, multiple, form, input, variantOf }) => ({
+    id,
+    label,
+    placeholder,
+    valueType,
+    multiple,
+    form,
+    input: input || 'text',
+    variantOf: variantOf || null
+  }));
+}
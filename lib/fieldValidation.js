@@ -0,0 +1,83 @@
+// FILE: lib/fieldValidation.js
+
+import { getField } from './fieldRegistry.js';
+import { isQueryNode } from './converters/queryTree.js';
+
+/**
+ * Field validation and normalization
+ * Runs the registry validators over single fields, flat fields objects and boolean query trees,
+ * shared by FieldsForm and /api/convert
+ */
+
+// Helper to check for an unset field value
+function isEmptyValue(value) {
+  return value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0);
+}
+
+/**
+ * Validate one field value
+ * @param {string} fieldId - Field ID
+ * @param {*} value - Single value or array of values
+ * @returns {Array<string>} Error messages, empty if every value is valid or the field is unknown
+ */
+export function validateFieldValue(fieldId, value) {
+  const field = getField(fieldId);
+  if (!field || !field.validate || isEmptyValue(value)) return [];
+
+  const values = Array.isArray(value) ? value : [value];
+  return values.map(v => field.validate(v)).filter(Boolean);
+}
+
+/**
+ * Normalize one valid field value
+ * @param {string} fieldId - Field ID
+ * @param {*} value - Single value or array of values
+ * @returns {*} Normalized value, unchanged for unknown fields
+ */
+export function normalizeFieldValue(fieldId, value) {
+  const field = getField(fieldId);
+  if (!field || isEmptyValue(value)) return value;
+
+  const normalize = field.normalize || (v => (typeof v === 'string' ? v.trim() : v));
+  return Array.isArray(value) ? value.map(normalize) : normalize(value);
+}
+
+/**
+ * Validate and normalize a query
+ * @param {Object} query - Normalized fields object (with optional not map) or boolean query node
+ * @returns {Object} { query, errors } with query normalized and errors as { [fieldId]: Array<string> }
+ */
+export function validateQuery(query) {
+  const errors = {};
+
+  const addErrors = (fieldId, messages) => {
+    if (messages.length > 0) {
+      errors[fieldId] = [...(errors[fieldId] || []), ...messages];
+    }
+  };
+
+  const visit = (node) => {
+    if (isQueryNode(node)) {
+      return { ...node, children: node.children.map(visit) };
+    }
+    if (!node || typeof node !== 'object') {
+      return node;
+    }
+
+    const normalized = {};
+    Object.entries(node).forEach(([fieldId, value]) => {
+      // Excluded values are validated like included ones
+      if (fieldId === 'not' && value && typeof value === 'object') {
+        normalized.not = visit(value);
+        return;
+      }
+
+      const messages = validateFieldValue(fieldId, value);
+      addErrors(fieldId, messages);
+      normalized[fieldId] = messages.length > 0 ? value : normalizeFieldValue(fieldId, value);
+    });
+    return normalized;
+  };
+
+  return { query: visit(query), errors };
+}
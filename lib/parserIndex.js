@@ -0,0 +1,38 @@
+// FILE: lib/parserIndex.js
+
+import { getParsingConverters } from './converterIndex.js';
+
+/**
+ * Get list of engines with a query parser
+ * Built-in engines and plugins declare parse() and placeholder in the converter contract
+ * @returns {Array} Array of parser objects with id, displayName, placeholder
+ */
+export function getSupportedParsers() {
+  return getParsingConverters().map(({ id, displayName, placeholder }) => ({ id, displayName, placeholder: placeholder || '' }));
+}
+
+/**
+ * Parse an engine query into a normalized fields object
+ * @param {string} engineId - Engine ID the query is written for
+ * @param {string} query - Query string to parse
+ * @returns {Object} { fields, warnings } where warnings lists anything that could not be mapped
+ */
+export function parseQuery(engineId, query) {
+  const converter = getParsingConverters().find(({ id }) => id === engineId);
+
+  if (!converter) {
+    return {
+      fields: {},
+      warnings: [`Parser for ${engineId} not yet implemented`]
+    };
+  }
+
+  try {
+    return converter.parse(query);
+  } catch (error) {
+    return {
+      fields: {},
+      warnings: [`Error parsing ${engineId} query: ${error.message}`]
+    };
+  }
+}
@@ -0,0 +1,508 @@
+// FILE: lib/parsers/censys.js
+
+import { addFieldValue, collapseFields, toNumber } from './parserHelper.js';
+
+/**
+ * Censys query parser (CenQL - Censys Query Language)
+ * Turns a Censys Platform query back into the normalized fields object
+ * Reverses the mappings in lib/converters/censys.js
+ *
+ * Field path mappings (host./web./services. prefixes are optional):
+ * - host.ip: "IP": ip (cidr when the value contains a "/")
+ * - host.services.port: PORT or {PORT, PORT}: port
+ * - host.dns.names: "DOMAIN": domain
+ * - web.hostname: "HOSTNAME": hostname
+ * - services.http.response.body: "BODY": banner
+ * - host.services.cert.parsed.subject.common_name = "CN": tlsSubject
+ * - certificates.parsed.extensions.subject_alt_name.dns_names: "SAN": tlsSAN
+ * - certificates.parsed.issuer.common_name = "ISSUER": tlsIssuer
+ * - cert.parsed.validity_period.not_after <= "now" / > "now": expiredCert true / false
+ * - cert.parsed.validity_period.not_after: ["NOW" to "END"]: certExpiresWithin (days until END)
+ * - cert.parsed.validity_period.not_before >= "DATE": certIssuedAfter
+ * - cert.parsed.signature.self_signed: true|false: selfSigned
+ * - host.last_updated_at >= "DATE" / <= "DATE": seenAfter / seenBefore
+ * - host.services.cert.names: "SSL": ssl
+ * - host.autonomous_system.asn: ASN: asn
+ * - host.autonomous_system.name: "ORG": org
+ * - host.services.protocol: "PROTOCOL": protocol
+ * - host.location.country_code: "CC": country
+ * - host.location.country: "COUNTRY": countryFull
+ * - host.location.city: "CITY": city
+ * - host.services.software.product: "PRODUCT": product
+ * - host.services.software.version: "VERSION": version
+ * - host.services.vulns.id: "CVE": vuln
+ * - web.endpoints.http.html_title: "TITLE": httpTitle
+ * - web.endpoints.http.status_code: STATUS: httpStatus
+ * - web.endpoints.http.favicons.hash_shodan: HASH: faviconHash
+ * - web.endpoints.http.favicons.hash_md5: "MD5": faviconMd5
+ * - host.services.cert.fingerprint_sha256 / fingerprint_sha1: "HASH": certFingerprint
+ * - host.services.cert.parsed.serial_number: "SERIAL": certSerial
+ * - host.services.jarm.fingerprint: "JARM": jarm
+ * - host.services.tls.ja4: "JA4": ja4
+ * - web.endpoints.http.headers: (key: "Server" and value: "VALUE"): serverHeader
+ * - web.endpoints.http.headers: (key: "NAME" and value: "VALUE"): httpHeader (other headers)
+ * - web.endpoints.http.body: "BODY": httpBody
+ * - web.endpoints.http.body_hash_sha256: "HASH": bodySha256
+ * - web.endpoints.path: "PATH": httpPath
+ * - host.operating_system.product: "OS": os
+ * - other free text: banner
+ *
+ * Nested groups such as host.services: (port: 443 and endpoints.http.html_title: "x")
+ * apply their path as a prefix. Set values {a, b} and OR groups of the same field
+ * become arrays. Negated terms on a single field become the `not` map of excluded fields.
+ * and binds tighter than or. Unknown paths, other negations and cross-field ORs
+ * are reported as warnings.
+ */
+
+const CENSYS_PATHS = {
+  ip: { field: 'ip' },
+  port: { field: 'port', numeric: true },
+  'dns.names': { field: 'domain' },
+  hostname: { field: 'hostname' },
+  'http.response.body': { field: 'banner' },
+  'cert.parsed.subject.common_name': { field: 'tlsSubject' },
+  'certificates.parsed.subject.common_name': { field: 'tlsSubject' },
+  'cert.parsed.extensions.subject_alt_name.dns_names': { field: 'tlsSAN' },
+  'certificates.parsed.extensions.subject_alt_name.dns_names': { field: 'tlsSAN' },
+  'cert.parsed.issuer.common_name': { field: 'tlsIssuer' },
+  'certificates.parsed.issuer.common_name': { field: 'tlsIssuer' },
+  'cert.parsed.validity_period.not_after': { field: 'expiredCert', expiry: true },
+  'cert.parsed.validity_period.not_before': { field: 'certIssuedAfter', since: true },
+  'cert.parsed.signature.self_signed': { field: 'selfSigned', boolean: true },
+  last_updated_at: { field: 'seenAfter', seen: true },
+  'cert.names': { field: 'ssl' },
+  'autonomous_system.asn': { field: 'asn', numeric: true },
+  'autonomous_system.name': { field: 'org' },
+  protocol: { field: 'protocol' },
+  'location.country_code': { field: 'country' },
+  'location.country': { field: 'countryFull' },
+  'location.city': { field: 'city' },
+  'software.product': { field: 'product' },
+  'software.version': { field: 'version' },
+  'vulns.id': { field: 'vuln' },
+  'endpoints.http.html_title': { field: 'httpTitle' },
+  'endpoints.http.status_code': { field: 'httpStatus', numeric: true },
+  'endpoints.http.favicons.hash_shodan': { field: 'faviconHash' },
+  'endpoints.http.favicons.hash_md5': { field: 'faviconMd5' },
+  'cert.fingerprint_sha256': { field: 'certFingerprint' },
+  'cert.fingerprint_sha1': { field: 'certFingerprint' },
+  'cert.parsed.serial_number': { field: 'certSerial' },
+  'jarm.fingerprint': { field: 'jarm' },
+  'tls.ja4': { field: 'ja4' },
+  'endpoints.http.headers': { field: 'serverHeader', headers: true },
+  'endpoints.http.body': { field: 'httpBody' },
+  'endpoints.http.body_hash_sha256': { field: 'bodySha256' },
+  'endpoints.path': { field: 'httpPath' },
+  'operating_system.product': { field: 'os' }
+};
+
+// Record prefixes that may be dropped when looking up a path
+const PATH_PREFIXES = ['host', 'web', 'services'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// host.dns.names and web.hostname are OR'ed together for the same hostname
+const EQUIVALENT_FIELDS = { domain: 'hostname' };
+
+/**
+ * Split a CenQL query into tokens
+ * @param {string} query - Raw query string
+ * @returns {Array<Object>} Tokens with type (string, word, op, punct) and value
+ */
+function lex(query) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < query.length) {
+    const char = query[i];
+
+    if (/\s/.test(char)) {
+      i++;
+    } else if (char === '"') {
+      let value = '';
+      i++;
+      while (i < query.length && query[i] !== '"') {
+        if (query[i] === '\\' && i + 1 < query.length) {
+          i++;
+        }
+        value += query[i];
+        i++;
+      }
+      i++;
+      tokens.push({ type: 'string', value });
+    } else if ('(){}[],'.includes(char)) {
+      tokens.push({ type: 'punct', value: char });
+      i++;
+    } else if (':=<>!'.includes(char)) {
+      const twoChars = query.slice(i, i + 2);
+      const op = ['<=', '>=', '==', '!='].includes(twoChars) ? twoChars : char;
+      tokens.push({ type: 'op', value: op });
+      i += op.length;
+    } else {
+      let value = '';
+      while (i < query.length && !/\s/.test(query[i]) && !'"(){}[],:=<>!'.includes(query[i])) {
+        value += query[i];
+        i++;
+      }
+      tokens.push({ type: 'word', value });
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * Find the mapping for a field path, dropping record prefixes as needed
+ * @param {string} path - Full field path such as host.services.port
+ * @returns {Object|null} Path mapping
+ */
+function resolvePath(path) {
+  let segments = path.split('.');
+  while (segments.length > 0) {
+    const mapping = CENSYS_PATHS[segments.join('.')];
+    if (mapping) return mapping;
+    if (!PATH_PREFIXES.includes(segments[0])) break;
+    segments = segments.slice(1);
+  }
+  return null;
+}
+
+const isKeyword = (token, keyword) =>
+  token && token.type === 'word' && token.value.toLowerCase() === keyword;
+
+/**
+ * Read a literal value or a {a, b} set
+ * @param {Object} state - Parser state
+ * @returns {Array<string>} Values
+ */
+function readValues(state) {
+  const token = state.tokens[state.pos];
+  if (!token) return [];
+
+  if (token.type === 'punct' && token.value === '{') {
+    const values = [];
+    state.pos++;
+    while (state.pos < state.tokens.length) {
+      const item = state.tokens[state.pos];
+      state.pos++;
+      if (item.type === 'punct' && item.value === '}') break;
+      if (item.type === 'string' || item.type === 'word') {
+        values.push(item.value);
+      }
+    }
+    return values;
+  }
+
+  state.pos++;
+  return token.type === 'string' || token.type === 'word' ? [token.value] : [];
+}
+
+/**
+ * Read a ["from" to "to"] range
+ * @param {Object} state - Parser state, positioned at the opening bracket
+ * @returns {Array<string>} Range bounds
+ */
+function readRange(state) {
+  const bounds = [];
+  state.pos++;
+  while (state.pos < state.tokens.length) {
+    const item = state.tokens[state.pos];
+    state.pos++;
+    if (item.type === 'punct' && item.value === ']') break;
+    if (item.type === 'string' || (item.type === 'word' && item.value.toLowerCase() !== 'to')) {
+      bounds.push(item.value);
+    }
+  }
+  return bounds;
+}
+
+/**
+ * Read a headers group like (key: "Server" and value: "nginx")
+ * @param {Object} state - Parser state, positioned after the opening parenthesis
+ * @param {Object} collected - Field ID -> array of values
+ * @returns {Array<string>} Field IDs contributed
+ */
+function parseHeaderGroup(state, collected) {
+  const header = {};
+  while (state.pos < state.tokens.length) {
+    const token = state.tokens[state.pos];
+    if (token.type === 'punct' && token.value === ')') {
+      state.pos++;
+      break;
+    }
+    if (token.type === 'word' && ['key', 'value'].includes(token.value.toLowerCase())) {
+      state.pos += 2;
+      header[token.value.toLowerCase()] = readValues(state)[0];
+    } else {
+      state.pos++;
+    }
+  }
+
+  if (header.key && header.key.toLowerCase() === 'server' && header.value) {
+    addFieldValue(collected, 'serverHeader', header.value);
+    return ['serverHeader'];
+  }
+  if (header.key) {
+    addFieldValue(collected, 'httpHeader', header.value ? `${header.key}: ${header.value}` : header.key);
+    return ['httpHeader'];
+  }
+  state.warnings.push('Header filter without a key is not supported and was ignored');
+  return [];
+}
+
+/**
+ * Parse a single path/operator/value clause
+ * @param {Object} state - Parser state, positioned at the path
+ * @param {string} prefix - Path prefix from an enclosing nested group
+ * @param {Object} collected - Field ID -> array of values
+ * @returns {Array<string>} Field IDs contributed
+ */
+function parseClause(state, prefix, collected) {
+  const pathToken = state.tokens[state.pos];
+  const opToken = state.tokens[state.pos + 1];
+
+  // Free-text terms have no operator
+  if (pathToken.type === 'string' || !opToken || opToken.type !== 'op') {
+    state.pos++;
+    addFieldValue(collected, 'banner', pathToken.value);
+    return ['banner'];
+  }
+
+  state.pos += 2;
+  const path = prefix ? `${prefix}.${pathToken.value}` : pathToken.value;
+  const mapping = resolvePath(path);
+  const next = state.tokens[state.pos];
+
+  // Nested group: host.services: (port: 443 and ...)
+  if (next && next.type === 'punct' && next.value === '(') {
+    state.pos++;
+    if (mapping && mapping.headers) {
+      return parseHeaderGroup(state, collected);
+    }
+    const fieldIds = parseExpression(state, path, collected);
+    state.pos++;
+    return fieldIds;
+  }
+
+  // Range: cert.parsed.validity_period.not_after: ["FROM" to "TO"] is how certExpiresWithin is emitted
+  if (next && next.type === 'punct' && next.value === '[') {
+    const [from, to] = readRange(state);
+    const days = Math.round((Date.parse(to) - Date.parse(from)) / DAY_MS);
+    if (mapping && mapping.expiry && Number.isFinite(days) && days >= 0) {
+      if (from.slice(0, 10) !== new Date().toISOString().slice(0, 10)) {
+        state.warnings.push(`Certificate expiry window starting "${from}" was read as starting today`);
+      }
+      addFieldValue(collected, 'certExpiresWithin', days);
+      return ['certExpiresWithin'];
+    }
+    state.warnings.push(`Range on ${path} is not supported and was ignored`);
+    return [];
+  }
+
+  const values = readValues(state);
+
+  if (!mapping) {
+    state.warnings.push(`Unknown field path "${path}" was ignored`);
+    return [];
+  }
+
+  if (mapping.expiry) {
+    if (['<', '<=', '>', '>='].includes(opToken.value) && values[0] === 'now') {
+      addFieldValue(collected, 'expiredCert', opToken.value.startsWith('<'));
+      return ['expiredCert'];
+    }
+    state.warnings.push(`Validity comparison ${path} ${opToken.value} "${values[0]}" is not supported and was ignored`);
+    return [];
+  }
+
+  // Timestamps compare as RFC 3339; the fields keep the YYYY-MM-DD date
+  if (mapping.seen && /^\d{4}-\d{2}-\d{2}/.test(values[0] || '')) {
+    const fieldId = { '>': 'seenAfter', '>=': 'seenAfter', '<': 'seenBefore', '<=': 'seenBefore' }[opToken.value];
+    if (fieldId) {
+      addFieldValue(collected, fieldId, values[0].slice(0, 10));
+      return [fieldId];
+    }
+  }
+  if (mapping.since || mapping.seen) {
+    if (['>', '>='].includes(opToken.value) && /^\d{4}-\d{2}-\d{2}/.test(values[0] || '')) {
+      addFieldValue(collected, mapping.field, values[0].slice(0, 10));
+      return [mapping.field];
+    }
+    state.warnings.push(`Comparison ${path} ${opToken.value} "${values[0]}" is not supported and was ignored`);
+    return [];
+  }
+
+  if (!([':', '=', '=='].includes(opToken.value))) {
+    state.warnings.push(`Operator ${opToken.value} on ${path} is not supported and was ignored`);
+    return [];
+  }
+
+  if (mapping.boolean) {
+    if (!['true', 'false'].includes(String(values[0]).toLowerCase())) {
+      state.warnings.push(`Value "${values[0]}" on ${path} is not a boolean and was ignored`);
+      return [];
+    }
+    addFieldValue(collected, mapping.field, values[0].toLowerCase() === 'true');
+    return [mapping.field];
+  }
+
+  const fieldIds = [];
+  values.forEach(value => {
+    // host.ip also holds CIDR ranges
+    const fieldId = mapping.field === 'ip' && value.includes('/') ? 'cidr' : mapping.field;
+    addFieldValue(collected, fieldId, mapping.numeric ? toNumber(value) : value);
+    if (!fieldIds.includes(fieldId)) fieldIds.push(fieldId);
+  });
+  return fieldIds;
+}
+
+/**
+ * Parse a term: a negation, a parenthesized group or a clause
+ * @param {Object} state - Parser state
+ * @param {string} prefix - Path prefix from an enclosing nested group
+ * @param {Object} collected - Field ID -> array of values
+ * @returns {Array<string>} Field IDs contributed
+ */
+function parseTerm(state, prefix, collected) {
+  const token = state.tokens[state.pos];
+
+  if (isKeyword(token, 'not')) {
+    state.pos++;
+    const next = state.tokens[state.pos];
+    if (!next || (next.type === 'punct' && next.value === ')') || isKeyword(next, 'and') || isKeyword(next, 'or')) {
+      state.warnings.push('NOT without a following term was ignored');
+      return [];
+    }
+    // A negated term on one field is an exclusion; NOT over several fields has no equivalent
+    const negated = {};
+    const fieldIds = parseTerm(state, prefix, negated);
+    const canonicalIds = [...new Set(fieldIds.map(id => EQUIVALENT_FIELDS[id] || id))];
+    if (canonicalIds.length === 1) {
+      Object.entries(negated).forEach(([fieldId, values]) => {
+        values.forEach(value => addFieldValue(state.excluded, fieldId, value));
+      });
+    } else if (fieldIds.length > 0) {
+      state.warnings.push(`Negated group on ${fieldIds.join(', ')} is not supported and was ignored`);
+    }
+    return [];
+  }
+
+  if (token.type === 'punct' && token.value === '(') {
+    state.pos++;
+    const fieldIds = parseExpression(state, prefix, collected);
+    state.pos++;
+    return fieldIds;
+  }
+
+  return parseClause(state, prefix, collected);
+}
+
+/**
+ * Parse terms joined by and (or a comma) until an or or the end of the current group
+ * @param {Object} state - Parser state
+ * @param {string} prefix - Path prefix from an enclosing nested group
+ * @param {Object} collected - Field ID -> array of values
+ * @returns {Object} { fieldIds, terms } - Field IDs contributed and the number of terms read
+ */
+function parseConjunction(state, prefix, collected) {
+  const fieldIds = [];
+  let terms = 0;
+
+  while (state.pos < state.tokens.length) {
+    const token = state.tokens[state.pos];
+
+    if ((token.type === 'punct' && token.value === ')') || isKeyword(token, 'or')) break;
+    if ((token.type === 'punct' && token.value === ',') || isKeyword(token, 'and')) {
+      state.pos++;
+      continue;
+    }
+
+    parseTerm(state, prefix, collected).forEach(id => {
+      if (!fieldIds.includes(id)) fieldIds.push(id);
+    });
+    terms++;
+  }
+
+  return { fieldIds, terms };
+}
+
+/**
+ * Parse and-groups joined by or until the end of the current group
+ * and binds tighter than or, so a: 1 and b: 2 or c: 3 is (a: 1 and b: 2) or c: 3
+ * @param {Object} state - Parser state
+ * @param {string} prefix - Path prefix from an enclosing nested group
+ * @param {Object} collected - Field ID -> array of values
+ * @returns {Array<string>} Field IDs contributed
+ */
+function parseExpression(state, prefix, collected) {
+  const fieldIds = [];
+  let previous = null;
+
+  while (state.pos < state.tokens.length) {
+    const token = state.tokens[state.pos];
+
+    if (token.type === 'punct' && token.value === ')') break;
+    if (isKeyword(token, 'or')) {
+      state.pos++;
+      continue;
+    }
+
+    const group = parseConjunction(state, prefix, collected);
+
+    // OR is only lossless between groups on the same fields (host.x or web.x, multi-value groups),
+    // or against a single nested group it narrows, like the converter's
+    // host.services: (port: 80 and endpoints.http.html_title: "x") or web.endpoints.http.html_title: "x"
+    if (previous && group.fieldIds.length > 0) {
+      const canonical = ids => ids.map(id => EQUIVALENT_FIELDS[id] || id);
+      const isSubset = (a, b) => canonical(a.fieldIds).every(id => canonical(b.fieldIds).includes(id));
+      const narrows = (a, b) => isSubset(a, b) && (isSubset(b, a) || b.terms === 1);
+      if (!narrows(group, previous) && !narrows(previous, group)) {
+        state.warnings.push(`OR between ${previous.fieldIds.join(', ')} and ${group.fieldIds.join(', ')} cannot be represented - both are combined with AND`);
+      }
+    }
+
+    group.fieldIds.forEach(id => {
+      if (!fieldIds.includes(id)) fieldIds.push(id);
+    });
+    previous = group.fieldIds.length > 0 ? group : previous;
+  }
+
+  return fieldIds;
+}
+
+/**
+ * Parse a CenQL query into normalized fields
+ * @param {string} query - Censys Platform query
+ * @returns {Object} { fields, warnings }
+ */
+export function parse(query) {
+  const collected = {};
+  const state = {
+    tokens: lex(String(query || '').trim()),
+    pos: 0,
+    warnings: [],
+    excluded: {}
+  };
+
+  while (state.pos < state.tokens.length) {
+    parseExpression(state, '', collected);
+    // Skip unbalanced closing parentheses
+    state.pos++;
+  }
+
+  // The converter emits hostnames as host.dns.names or web.hostname
+  [collected, state.excluded].forEach(values => {
+    if (values.hostname && values.domain) {
+      values.domain = values.domain.filter(value => !values.hostname.includes(value));
+    }
+  });
+
+  if (collected.countryFull) {
+    state.warnings.push('host.location.country uses full country names, which only Censys understands - use country codes for other engines');
+  }
+
+  return {
+    fields: collapseFields(collected, state.excluded),
+    warnings: state.warnings
+  };
+}
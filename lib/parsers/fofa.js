@@ -0,0 +1,308 @@
+// FILE: lib/parsers/fofa.js
+
+import { addFieldValue, collapseFields, toNumber } from './parserHelper.js';
+import { parseFofaUrl } from '../searchUrls.js';
+
+/**
+ * FOFA query parser
+ * Turns a FOFA query, or a FOFA result link with qbase64, back into the normalized fields object
+ * Reverses the mappings in lib/converters/fofa.js and getFofaUrl
+ *
+ * Field mappings:
+ * - ip="IP": ip (cidr when the value contains a "/")
+ * - port="PORT" / port=="PORT": port
+ * - ip_ports="PORT,PORT": port
+ * - domain="DOMAIN": domain
+ * - host="HOST": hostname
+ * - body="BODY": banner
+ * - header="STATUS": httpStatus (three-digit values)
+ * - header="NAME: VALUE": httpHeader
+ * - status_code="STATUS": httpStatus
+ * - cert="CERT": ssl
+ * - cert.subject.cn="SUBJECT": tlsSubject
+ * - cert.is_expired=true|false / cert.is_valid=false: expiredCert
+ * - cert.not_after.after="TODAY" && cert.not_after.before="END": certExpiresWithin (days until END)
+ * - cert.not_before.after="DATE": certIssuedAfter (cert.not_before.before="DATE" excludes it)
+ * - asn="ASN": asn
+ * - org="ORG": org
+ * - country="CC" / ip_country="CC": country
+ * - city="CITY": city
+ * - product="PRODUCT" / app="APP": product
+ * - version="VERSION": version
+ * - title="TITLE": httpTitle
+ * - server="SERVER": serverHeader
+ * - icon_hash="HASH": faviconHash
+ * - body_hash="HASH": htmlHash
+ * - jarm="JARM": jarm
+ * - after="DATE" / before="DATE": seenAfter / seenBefore
+ * - os="OS": os
+ * - protocol="PROTOCOL" / base_protocol="tcp|udp": protocol
+ *
+ * && joins filters, || groups of the same field become arrays.
+ * != filters become the `not` map of excluded fields.
+ * Unknown fields and cross-field ORs are reported as warnings.
+ */
+
+const FOFA_FIELDS = {
+  ip: { field: 'ip' },
+  port: { field: 'port', numeric: true },
+  ip_ports: { field: 'port', numeric: true, list: true },
+  domain: { field: 'domain' },
+  host: { field: 'hostname' },
+  body: { field: 'banner' },
+  header: { field: 'httpHeader', status: true },
+  status_code: { field: 'httpStatus', numeric: true },
+  cert: { field: 'ssl' },
+  'cert.subject.cn': { field: 'tlsSubject' },
+  'cert.is_expired': { field: 'expiredCert', boolean: true },
+  'cert.is_valid': { field: 'expiredCert', invalidFlag: true },
+  'cert.not_after.after': { field: 'certExpiresWithin', windowStart: true },
+  'cert.not_after.before': { field: 'certExpiresWithin', windowEnd: true },
+  'cert.not_before.after': { field: 'certIssuedAfter' },
+  'cert.not_before.before': { field: 'certIssuedAfter', inverse: true },
+  asn: { field: 'asn', numeric: true },
+  org: { field: 'org' },
+  country: { field: 'country' },
+  ip_country: { field: 'country' },
+  city: { field: 'city' },
+  product: { field: 'product' },
+  app: { field: 'product' },
+  version: { field: 'version' },
+  title: { field: 'httpTitle' },
+  icon_hash: { field: 'faviconHash' },
+  body_hash: { field: 'htmlHash' },
+  jarm: { field: 'jarm' },
+  after: { field: 'seenAfter' },
+  before: { field: 'seenBefore' },
+  server: { field: 'serverHeader' },
+  os: { field: 'os' },
+  protocol: { field: 'protocol' },
+  base_protocol: { field: 'protocol' }
+};
+
+const OPERATOR_CHARS = '=!*~';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Today as YYYY-MM-DD, the start of the certificate expiry window the converter emits
+const today = () => new Date().toISOString().slice(0, 10);
+
+/**
+ * Split a FOFA query into tokens
+ * @param {string} query - Raw query string
+ * @returns {Array<Object>} Tokens with type (string, word, op, logic, punct) and value
+ */
+function lex(query) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < query.length) {
+    const char = query[i];
+    const twoChars = query.slice(i, i + 2);
+
+    if (/\s/.test(char)) {
+      i++;
+    } else if (twoChars === '&&' || twoChars === '||') {
+      tokens.push({ type: 'logic', value: twoChars });
+      i += 2;
+    } else if (char === '(' || char === ')') {
+      tokens.push({ type: 'punct', value: char });
+      i++;
+    } else if (char === '"') {
+      let value = '';
+      i++;
+      while (i < query.length && query[i] !== '"') {
+        if (query[i] === '\\' && i + 1 < query.length) {
+          i++;
+        }
+        value += query[i];
+        i++;
+      }
+      i++;
+      tokens.push({ type: 'string', value });
+    } else if (OPERATOR_CHARS.includes(char)) {
+      let op = '';
+      while (i < query.length && OPERATOR_CHARS.includes(query[i])) {
+        op += query[i];
+        i++;
+      }
+      tokens.push({ type: 'op', value: op });
+    } else {
+      let value = '';
+      while (i < query.length && !/\s/.test(query[i]) && !'()"&|'.includes(query[i]) && !OPERATOR_CHARS.includes(query[i])) {
+        value += query[i];
+        i++;
+      }
+      tokens.push({ type: 'word', value });
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * Parse a single key=value clause
+ * @param {Object} state - Parser state, positioned at the key
+ * @param {Object} collected - Field ID -> array of values
+ * @returns {Array<string>} Field IDs contributed
+ */
+function parseClause(state, collected) {
+  const keyToken = state.tokens[state.pos];
+  const opToken = state.tokens[state.pos + 1];
+  const valueToken = state.tokens[state.pos + 2];
+
+  // Bare strings search the whole banner
+  if (keyToken.type === 'string' || !opToken || opToken.type !== 'op') {
+    state.pos++;
+    addFieldValue(collected, 'banner', keyToken.value);
+    return ['banner'];
+  }
+
+  state.pos += 3;
+  const key = keyToken.value.toLowerCase();
+  const value = valueToken ? valueToken.value : '';
+  const mapping = FOFA_FIELDS[key];
+
+  if (!mapping) {
+    state.warnings.push(`Unknown field "${key}" was ignored`);
+    return [];
+  }
+
+  if (!['=', '==', '!='].includes(opToken.value)) {
+    state.warnings.push(`Operator ${opToken.value} on ${key} is not supported and was ignored`);
+    return [];
+  }
+
+  // != filters are collected as exclusions and take no part in OR checks;
+  // cert.not_before.before="DATE" is how the converter excludes certIssuedAfter
+  const negated = (opToken.value === '!=') !== Boolean(mapping.inverse);
+  const target = negated ? state.excluded : collected;
+  const added = (fieldIds) => negated ? [] : fieldIds;
+
+  if (mapping.invalidFlag) {
+    if (value.toLowerCase() === 'false') {
+      addFieldValue(target, 'expiredCert', true);
+      return added(['expiredCert']);
+    }
+    state.warnings.push(`Filter ${key}${opToken.value}${value} is not supported and was ignored`);
+    return [];
+  }
+
+  // The expiry window always starts today, so only its end carries the number of days
+  if (mapping.windowStart) {
+    if (value !== today() || negated) {
+      state.warnings.push(`Filter ${key}${opToken.value}"${value}" is not supported and was ignored`);
+    }
+    return [];
+  }
+  if (mapping.windowEnd) {
+    const days = Math.round((Date.parse(value) - Date.parse(today())) / DAY_MS);
+    if (negated || !Number.isFinite(days) || days < 0) {
+      state.warnings.push(`Filter ${key}${opToken.value}"${value}" is not supported and was ignored`);
+      return [];
+    }
+    addFieldValue(target, mapping.field, days);
+    return added([mapping.field]);
+  }
+
+  if (mapping.boolean) {
+    addFieldValue(target, mapping.field, value.toLowerCase() === 'true');
+    return added([mapping.field]);
+  }
+
+  // header="200" is how the converter emits HTTP status codes
+  if (mapping.status && /^\d{3}$/.test(value)) {
+    addFieldValue(target, 'httpStatus', toNumber(value));
+    return added(['httpStatus']);
+  }
+
+  const values = mapping.list ? value.split(',').map(v => v.trim()).filter(v => v !== '') : [value];
+  const fieldIds = [];
+  values.forEach(v => {
+    const fieldId = mapping.field === 'ip' && v.includes('/') ? 'cidr' : mapping.field;
+    addFieldValue(target, fieldId, mapping.numeric ? toNumber(v) : v);
+    if (!fieldIds.includes(fieldId)) fieldIds.push(fieldId);
+  });
+  return added(fieldIds);
+}
+
+/**
+ * Parse clauses joined by && / || until the end of the current group
+ * @param {Object} state - Parser state
+ * @param {Object} collected - Field ID -> array of values
+ * @returns {Array<string>} Field IDs contributed
+ */
+function parseExpression(state, collected) {
+  const fieldIds = [];
+  let previousIds = null;
+  let pendingOr = false;
+
+  while (state.pos < state.tokens.length) {
+    const token = state.tokens[state.pos];
+
+    if (token.type === 'punct' && token.value === ')') break;
+    if (token.type === 'logic') {
+      pendingOr = token.value === '||';
+      state.pos++;
+      continue;
+    }
+
+    let termIds;
+    if (token.type === 'punct' && token.value === '(') {
+      state.pos++;
+      termIds = parseExpression(state, collected);
+      state.pos++;
+    } else {
+      termIds = parseClause(state, collected);
+    }
+
+    // || is only lossless between values of the same field
+    if (pendingOr && previousIds && termIds.length > 0) {
+      const sameFields = termIds.every(id => previousIds.includes(id)) || previousIds.every(id => termIds.includes(id));
+      if (!sameFields) {
+        state.warnings.push(`OR between ${previousIds.join(', ')} and ${termIds.join(', ')} cannot be represented - both are combined with AND`);
+      }
+    }
+
+    termIds.forEach(id => {
+      if (!fieldIds.includes(id)) fieldIds.push(id);
+    });
+    previousIds = termIds.length > 0 ? termIds : previousIds;
+    pendingOr = false;
+  }
+
+  return fieldIds;
+}
+
+/**
+ * Parse a FOFA query or FOFA result URL into normalized fields
+ * @param {string} query - FOFA query, or a link containing qbase64=
+ * @returns {Object} { fields, warnings }
+ */
+export function parse(query) {
+  const input = String(query || '').trim();
+  const decoded = parseFofaUrl(input);
+  const collected = {};
+  const state = {
+    tokens: lex(decoded !== null ? decoded : input),
+    pos: 0,
+    warnings: [],
+    excluded: {}
+  };
+
+  // A link whose qbase64 does not decode is parsed as written
+  if (decoded === null && /[?&]qbase64=/.test(input)) {
+    state.warnings.push('qbase64 parameter is not valid base64 - the input was parsed as a plain query');
+  }
+
+  while (state.pos < state.tokens.length) {
+    parseExpression(state, collected);
+    // Skip unbalanced closing parentheses
+    state.pos++;
+  }
+
+  return {
+    fields: collapseFields(collected, state.excluded),
+    warnings: state.warnings
+  };
+}
@@ -0,0 +1,99 @@
+// FILE: lib/parsers/parserHelper.js
+
+/**
+ * Shared helpers for query parsers
+ * Parsers collect values per field and collapse them into a normalized fields object
+ */
+
+/**
+ * Split a query into whitespace-separated tokens, keeping quoted strings intact
+ * @param {string} query - Raw query string
+ * @returns {Array<string>} Tokens with their quotes preserved
+ */
+export function tokenize(query) {
+  const tokens = [];
+  let current = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < query.length; i++) {
+    const char = query[i];
+
+    if (char === '\\' && inQuotes && i + 1 < query.length) {
+      current += char + query[i + 1];
+      i++;
+    } else if (char === '"') {
+      inQuotes = !inQuotes;
+      current += char;
+    } else if (/\s/.test(char) && !inQuotes) {
+      if (current) tokens.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+
+  if (current) tokens.push(current);
+  return tokens;
+}
+
+/**
+ * Remove surrounding double quotes and unescape \" and \\
+ * @param {string} value - Possibly quoted value
+ * @returns {string} Unquoted value
+ */
+export function unquote(value) {
+  const str = String(value).trim();
+  if (str.length >= 2 && str.startsWith('"') && str.endsWith('"')) {
+    return str.slice(1, -1).replace(/\\(["\\])/g, '$1');
+  }
+  return str;
+}
+
+/**
+ * Append a value to a field, keeping every value seen so far
+ * @param {Object} collected - Field ID -> array of values
+ * @param {string} fieldId - Normalized field ID
+ * @param {*} value - Value to add
+ */
+export function addFieldValue(collected, fieldId, value) {
+  if (value === undefined || value === null || value === '') return;
+  if (!collected[fieldId]) {
+    collected[fieldId] = [];
+  }
+  if (!collected[fieldId].includes(value)) {
+    collected[fieldId].push(value);
+  }
+}
+
+/**
+ * Collapse collected values into a normalized fields object
+ * Single values become scalars, the same shape FieldsForm produces
+ * @param {Object} collected - Field ID -> array of values
+ * @param {Object} excluded - Field ID -> array of negated values, emitted as the `not` map
+ * @returns {Object} Normalized fields object
+ */
+export function collapseFields(collected, excluded = {}) {
+  const fields = {};
+  Object.entries(collected).forEach(([fieldId, values]) => {
+    if (values.length === 1) {
+      fields[fieldId] = values[0];
+    } else if (values.length > 1) {
+      fields[fieldId] = values;
+    }
+  });
+
+  const not = Object.keys(excluded).length > 0 ? collapseFields(excluded) : {};
+  if (Object.keys(not).length > 0) {
+    fields.not = not;
+  }
+  return fields;
+}
+
+/**
+ * Convert a numeric string to a number, leaving anything else untouched
+ * @param {string} value - Value to convert
+ * @returns {number|string} Number when the value is an integer
+ */
+export function toNumber(value) {
+  return /^\d+$/.test(String(value)) ? parseInt(value, 10) : value;
+}
@@ -0,0 +1,216 @@
+// FILE: lib/parsers/shodan.js
+
+import { tokenize, unquote, addFieldValue, collapseFields, toNumber } from './parserHelper.js';
+
+/**
+ * Shodan query parser
+ * Turns a Shodan search query back into the normalized fields object
+ * Reverses the mappings in lib/converters/shodan.js
+ *
+ * Filter mappings:
+ * - IP (bare): ip
+ * - ip:IP: ip
+ * - net:CIDR: cidr
+ * - port:PORT[,PORT]: port
+ * - hostname:HOSTNAME: domain
+ * - ssl.cert.subject.cn:CN: tlsSubject
+ * - ssl.cert.extensions.subject_alt_name:SAN: tlsSAN
+ * - ssl.cert.issuer.cn:ISSUER: tlsIssuer
+ * - ssl.cert.expired:true|false: expiredCert
+ * - tag:self-signed / -tag:self-signed: selfSigned true / false
+ * - ssl.cert.fingerprint:HASH: certFingerprint
+ * - ssl.cert.serial:SERIAL: certSerial
+ * - ssl.jarm:JARM: jarm
+ * - ssl.ja3s:JA3S: ja3s
+ * - asn:ASN: asn
+ * - org:"ORG": org
+ * - country:CC[,CC]: country
+ * - city:"CITY": city
+ * - product:PRODUCT: product
+ * - version:"VERSION": version
+ * - title:"TITLE" / http.title:"TITLE": httpTitle
+ * - http.status:STATUS: httpStatus
+ * - http.favicon.hash:HASH: faviconHash
+ * - http.html:"HTML": httpBody
+ * - http.html_hash:HASH: htmlHash
+ * - os:"OS": os
+ * - ssl:"SSL": ssl
+ * - transport:tcp|udp: protocol
+ * - has_ssl:true: protocol https
+ * - vuln:CVE[,CVE]: vuln
+ * - after:DD/MM/YYYY / before:DD/MM/YYYY: seenAfter / seenBefore
+ * - "Server: VALUE": serverHeader
+ * - other free text: banner
+ *
+ * Comma-separated values and OR groups of the same filter become arrays.
+ * Negated -filter:value terms become the `not` map of excluded fields.
+ * Unknown filters and cross-filter ORs are reported as warnings.
+ */
+
+const SHODAN_FILTERS = {
+  ip: { field: 'ip' },
+  net: { field: 'cidr' },
+  port: { field: 'port', numeric: true },
+  hostname: { field: 'domain' },
+  'ssl.cert.subject.cn': { field: 'tlsSubject' },
+  'ssl.cert.extensions.subject_alt_name': { field: 'tlsSAN' },
+  'ssl.cert.issuer.cn': { field: 'tlsIssuer' },
+  'ssl.cert.expired': { field: 'expiredCert', boolean: true },
+  tag: { field: 'selfSigned', tag: 'self-signed' },
+  'ssl.cert.fingerprint': { field: 'certFingerprint' },
+  'ssl.cert.serial': { field: 'certSerial' },
+  'ssl.jarm': { field: 'jarm' },
+  'ssl.ja3s': { field: 'ja3s' },
+  asn: { field: 'asn' },
+  org: { field: 'org' },
+  country: { field: 'country' },
+  city: { field: 'city' },
+  product: { field: 'product' },
+  version: { field: 'version' },
+  title: { field: 'httpTitle' },
+  'http.title': { field: 'httpTitle' },
+  'http.status': { field: 'httpStatus', numeric: true },
+  'http.favicon.hash': { field: 'faviconHash' },
+  'http.html': { field: 'httpBody' },
+  'http.html_hash': { field: 'htmlHash' },
+  os: { field: 'os' },
+  ssl: { field: 'ssl' },
+  transport: { field: 'protocol' },
+  has_ssl: { field: 'protocol', whenTrue: 'https' },
+  vuln: { field: 'vuln' },
+  after: { field: 'seenAfter', date: true },
+  before: { field: 'seenBefore', date: true }
+};
+
+const IPV4_PATTERN = /^\d{1,3}(\.\d{1,3}){3}$/;
+const IPV6_PATTERN = /^[0-9a-f]*:[0-9a-f]*:[0-9a-f:]*$/i;
+
+/**
+ * Parse a single filter or free-text token
+ * @param {string} token - Token without grouping parentheses
+ * @param {Object} collected - Field ID -> array of values
+ * @param {Array} freeText - Free-text terms collected so far
+ * @param {Array} warnings - Warnings collected so far
+ * @returns {string|null} Field ID the token was mapped to
+ */
+function parseToken(token, collected, freeText, warnings) {
+  if (IPV4_PATTERN.test(token) || IPV6_PATTERN.test(token)) {
+    addFieldValue(collected, 'ip', token);
+    return 'ip';
+  }
+
+  // A filter is name:value where the colon comes before any quote
+  const colonIndex = token.indexOf(':');
+  const quoteIndex = token.indexOf('"');
+  if (colonIndex > 0 && (quoteIndex === -1 || colonIndex < quoteIndex)) {
+    const name = token.slice(0, colonIndex).toLowerCase();
+    const rawValue = token.slice(colonIndex + 1);
+    const filter = SHODAN_FILTERS[name];
+
+    if (!filter) {
+      warnings.push(`Unknown filter "${name}" was ignored`);
+      return null;
+    }
+
+    const values = rawValue.startsWith('"')
+      ? [unquote(rawValue)]
+      : rawValue.split(',').map(v => v.trim()).filter(v => v !== '');
+
+    values.forEach(value => {
+      if (filter.boolean || filter.tag) {
+        const flag = filter.tag ? value.toLowerCase() === filter.tag : ['true', 'false'].includes(value.toLowerCase());
+        if (flag) {
+          addFieldValue(collected, filter.field, filter.tag ? true : value.toLowerCase() === 'true');
+        } else {
+          warnings.push(`Filter ${name}:${value} is not supported and was ignored`);
+        }
+      } else if (filter.whenTrue) {
+        // has_ssl:true is how the converter emits HTTPS/SSL/TLS protocols
+        if (value.toLowerCase() === 'true') {
+          addFieldValue(collected, filter.field, filter.whenTrue);
+        } else {
+          warnings.push(`Filter ${name}:${value} is not supported and was ignored`);
+        }
+      } else if (filter.date) {
+        // DD/MM/YYYY becomes the YYYY-MM-DD form the fields use
+        const date = value.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+        addFieldValue(collected, filter.field, date ? `${date[3]}-${date[2].padStart(2, '0')}-${date[1].padStart(2, '0')}` : value);
+      } else {
+        addFieldValue(collected, filter.field, filter.numeric ? toNumber(value) : value);
+      }
+    });
+    return filter.field;
+  }
+
+  // Free text - "Server: VALUE" is how the converter emits server headers
+  const text = unquote(token);
+  const serverMatch = text.match(/^Server:\s*(.+)$/i);
+  if (serverMatch) {
+    addFieldValue(collected, 'serverHeader', serverMatch[1].trim());
+    return 'serverHeader';
+  }
+
+  freeText.push(text);
+  return 'banner';
+}
+
+/**
+ * Parse a Shodan query into normalized fields
+ * @param {string} query - Shodan search query
+ * @returns {Object} { fields, warnings }
+ */
+export function parse(query) {
+  const collected = {};
+  const excluded = {};
+  const freeText = [];
+  const warnings = [];
+  let previousField = null;
+  let pendingOr = false;
+
+  tokenize(String(query || '').trim()).forEach(rawToken => {
+    // Strip grouping parentheses emitted around multi-value OR groups
+    const token = rawToken.replace(/^\(+/, '').replace(/\)+$/, '');
+    if (!token) return;
+
+    if (token === 'OR') {
+      pendingOr = true;
+      return;
+    }
+    if (token === 'AND') {
+      return;
+    }
+
+    if (token.startsWith('-')) {
+      // Negated terms are excluded individually, including negated free text
+      const excludedText = [];
+      parseToken(token.slice(1), excluded, excludedText, warnings);
+      excludedText.forEach(text => addFieldValue(excluded, 'banner', text));
+      pendingOr = false;
+      return;
+    }
+
+    const fieldId = parseToken(token, collected, freeText, warnings);
+    if (pendingOr && fieldId && previousField && fieldId !== previousField) {
+      warnings.push(`OR between ${previousField} and ${fieldId} cannot be represented - both are combined with AND`);
+    }
+    pendingOr = false;
+    previousField = fieldId;
+  });
+
+  // Excluding a yes/no filter is the same as asking for the opposite, as in -tag:self-signed
+  const flagFields = Object.values(SHODAN_FILTERS).filter(filter => filter.boolean || filter.tag).map(filter => filter.field);
+  flagFields.filter(fieldId => excluded[fieldId]).forEach(fieldId => {
+    excluded[fieldId].forEach(value => addFieldValue(collected, fieldId, !value));
+    delete excluded[fieldId];
+  });
+
+  // Shodan matches all free-text terms, so keep them together as one banner search
+  if (freeText.length > 0) {
+    addFieldValue(collected, 'banner', freeText.join(' '));
+  }
+
+  return {
+    fields: collapseFields(collected, excluded),
+    warnings
+  };
+}
@@ -36,24 +36,101 @@ export function getFofaUrl(query) {
 }
 
 /**
- * Get search URL for any engine by ID
- * @param {string} engineId - The engine ID
- * @param {string} query - The search query
- * @returns {string} - Search URL for the engine
- */
-export function getSearchUrl(engineId, query) {
-  const urlGenerators = {
-    shodan: getShodanUrl,
-    censys: getCensysUrl,
-    fofa: getFofaUrl
-  };
-
-  const generator = urlGenerators[engineId];
-  if (!generator) {
-    // Return null instead of throwing to prevent runtime errors
-    console.warn(`No URL generator found for engine: ${engineId}`);
+ * Extract the query from a FOFA search URL
+ * Reverses getFofaUrl, accepting standard or URL-safe base64
+ * @param {string} url - FOFA result link containing qbase64=
+ * @returns {string|null} - Decoded query, or null if the input is not a FOFA link or qbase64 does not decode
+ */
+export function parseFofaUrl(url) {
+  const match = String(url || '').match(/[?&]qbase64=([^&#\s]+)/);
+  if (!match) {
+    return null;
+  }
+
+  // Truncated or hand-edited links fail in atob or the UTF-8 decode
+  try {
+    let base64Query = decodeURIComponent(match[1]).replace(/-/g, '+').replace(/_/g, '/');
+    while (base64Query.length % 4 !== 0) {
+      base64Query += '=';
+    }
+    return decodeURIComponent(escape(atob(base64Query)));
+  } catch (error) {
     return null;
   }
+}
+
+/**
+ * Generate search URL for ZoomEye
+ * @param {string} query - The search query
+ * @returns {string} - ZoomEye search URL
+ */
+export function getZoomEyeUrl(query) {
+  // ZoomEye expects the query base64 encoded, same as FOFA
+  const base64Query = btoa(unescape(encodeURIComponent(query)));
+  return `https://www.zoomeye.ai/searchResult?q=${encodeURIComponent(base64Query)}`;
+}
+
+/**
+ * Generate search URL for Hunter
+ * @param {string} query - The search query
+ * @returns {string} - Hunter search URL
+ */
+export function getHunterUrl(query) {
+  // Hunter expects the query base64url encoded (URL-safe alphabet, no padding)
+  const base64Query = btoa(unescape(encodeURIComponent(query)))
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/=/g, '');
+  return `https://hunter.qianxin.com/list?search=${base64Query}`;
+}
+
+/**
+ * Generate search URL for Quake
+ * @param {string} query - The search query
+ * @returns {string} - Quake search URL
+ */
+export function getQuakeUrl(query) {
+  const encodedQuery = encodeURIComponent(query);
+  return `https://quake.360.net/quake/#/searchResult?searchVal=${encodedQuery}&selectIndex=quake_service`;
+}
 
-  return generator(query);
+/**
+ * Generate search URL for Netlas
+ * @param {string} query - The search query
+ * @returns {string} - Netlas search URL
+ */
+export function getNetlasUrl(query) {
+  const encodedQuery = encodeURIComponent(query);
+  return `https://app.netlas.io/responses/?q=${encodedQuery}`;
+}
+
+/**
+ * Generate search URL for dorks
+ * @param {string} query - The dork query
+ * @returns {string} - Google search URL
+ */
+export function getDorkUrl(query) {
+  // Dorks open in Google; the same query can be pasted into Bing
+  const encodedQuery = encodeURIComponent(query);
+  return `https://www.google.com/search?q=${encodedQuery}`;
+}
+
+/**
+ * Generate search URL for Criminal IP
+ * @param {string} query - The search query
+ * @returns {string} - Criminal IP search URL
+ */
+export function getCriminalIpUrl(query) {
+  const encodedQuery = encodeURIComponent(query);
+  return `https://www.criminalip.io/asset/search?query=${encodedQuery}`;
+}
+
+/**
+ * Generate search URL for ONYPHE
+ * @param {string} query - The search query
+ * @returns {string} - ONYPHE search URL
+ */
+export function getOnypheUrl(query) {
+  const encodedQuery = encodeURIComponent(query);
+  return `https://search.onyphe.io/search?q=${encodedQuery}`;
 }
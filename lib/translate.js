@@ -0,0 +1,89 @@
+// FILE: lib/translate.js
+
+import { parseQuery } from './parserIndex.js';
+import { convertAll } from './converterIndex.js';
+import { isLayoutNote, isQueryNode } from './converters/queryTree.js';
+import { validateFieldValue, validateQuery } from './fieldValidation.js';
+
+/**
+ * Engine-to-engine query translation
+ * Parses a query written for one engine into normalized fields, validates and normalizes them
+ * like /api/convert does, and converts those fields for the target engines
+ */
+
+/**
+ * Check whether a converter note reports a lossy or dropped construct
+ * @param {string} note - Converter note
+ * @returns {boolean} True if the note describes an approximation or exclusion
+ */
+function isLossyNote(note) {
+  return !isLayoutNote(note);
+}
+
+/**
+ * Remove values the fields reject, so one bad value cannot break an engine's whole query
+ * @param {Object} query - Parsed fields object (with optional not map) or boolean query node
+ * @param {Array<string>} dropped - Receives a warning for every removed value
+ * @returns {Object} The query without invalid values
+ */
+function dropInvalidValues(query, dropped) {
+  if (isQueryNode(query)) {
+    return { ...query, children: query.children.map(child => dropInvalidValues(child, dropped)) };
+  }
+  if (!query || typeof query !== 'object') {
+    return query;
+  }
+
+  const kept = {};
+  Object.entries(query).forEach(([fieldId, value]) => {
+    if (fieldId === 'not' && value && typeof value === 'object') {
+      const excluded = dropInvalidValues(value, dropped);
+      if (Object.keys(excluded).length > 0) kept.not = excluded;
+      return;
+    }
+
+    const values = Array.isArray(value) ? value : [value];
+    const valid = values.filter(v => {
+      const [error] = validateFieldValue(fieldId, v);
+      if (error) dropped.push(`${fieldId} dropped: invalid value - ${error}`);
+      return !error;
+    });
+    if (valid.length > 0) {
+      kept[fieldId] = valid.length === 1 ? valid[0] : valid;
+    }
+  });
+  return kept;
+}
+
+/**
+ * Translate a query from one engine's dialect into others
+ * @param {string} from - Engine ID the source query is written for
+ * @param {string} query - Source query string
+ * @param {Array} to - Engine IDs to translate into
+ * @returns {Object} { fields, warnings, results } where results maps engine ID to
+ *   { query, notes, fallback?, lossy } and lossy combines source parse and validation
+ *   warnings with that engine's approximations and exclusions
+ */
+export function translateQuery(from, query, to) {
+  const parsed = parseQuery(from, query);
+
+  // Values the source engine accepted but the fields reject are dropped and reported
+  const dropped = [];
+  const { query: fields } = validateQuery(dropInvalidValues(parsed.fields, dropped));
+  const warnings = [...parsed.warnings, ...dropped];
+  const converted = convertAll(fields, to);
+  const results = {};
+
+  Object.entries(converted).forEach(([engineId, result]) => {
+    results[engineId] = {
+      ...result,
+      lossy: [...warnings, ...(result.notes || []).filter(isLossyNote)]
+    };
+  });
+
+  return {
+    fields,
+    warnings,
+    results
+  };
+}
@@ -0,0 +1,303 @@
+// FILE: lib/validators.js
+
+/**
+ * Value validators and normalizers used by the field registry
+ * A validator returns null for a valid value or an error message,
+ * a normalizer returns the value in the form converters expect
+ */
+
+// ISO 3166-1 alpha-2 country codes
+const COUNTRY_CODES = new Set((
+  'AD AE AF AG AI AL AM AO AQ AR AS AT AU AW AX AZ BA BB BD BE BF BG BH BI BJ BL BM BN BO BQ BR BS BT BV BW BY BZ ' +
+  'CA CC CD CF CG CH CI CK CL CM CN CO CR CU CV CW CX CY CZ DE DJ DK DM DO DZ EC EE EG EH ER ES ET FI FJ FK FM FO FR ' +
+  'GA GB GD GE GF GG GH GI GL GM GN GP GQ GR GS GT GU GW GY HK HM HN HR HT HU ID IE IL IM IN IO IQ IR IS IT JE JM JO JP ' +
+  'KE KG KH KI KM KN KP KR KW KY KZ LA LB LC LI LK LR LS LT LU LV LY MA MC MD ME MF MG MH MK ML MM MN MO MP MQ MR MS MT ' +
+  'MU MV MW MX MY MZ NA NC NE NF NG NI NL NO NP NR NU NZ OM PA PE PF PG PH PK PL PM PN PR PS PT PW PY QA RE RO RS RU RW ' +
+  'SA SB SC SD SE SG SH SI SJ SK SL SM SN SO SR SS ST SV SX SY SZ TC TD TF TG TH TJ TK TL TM TN TO TR TT TV TW TZ UA UG ' +
+  'UM US UY UZ VA VC VE VG VI VN VU WF WS YE YT ZA ZM ZW'
+).split(' '));
+
+// Largest 32-bit AS number
+const MAX_ASN = 4294967295;
+
+/**
+ * Check for a dotted-quad IPv4 address
+ * @param {string} value - Value to check
+ * @returns {boolean} True for an IPv4 address
+ */
+export function isIpv4(value) {
+  const octets = String(value).split('.');
+  return octets.length === 4 && octets.every(octet => /^\d{1,3}$/.test(octet) && Number(octet) <= 255);
+}
+
+/**
+ * Check for an IPv6 address, including :: compression and an embedded IPv4 tail
+ * @param {string} value - Value to check
+ * @returns {boolean} True for an IPv6 address
+ */
+export function isIpv6(value) {
+  const str = String(value);
+  const halves = str.split('::');
+  if (halves.length > 2) return false;
+
+  const groups = halves.flatMap(half => (half === '' ? [] : half.split(':')));
+  // An IPv4 tail counts as two groups
+  const last = groups[groups.length - 1];
+  const ipv4Tail = last !== undefined && last.includes('.');
+  if (ipv4Tail && !isIpv4(groups.pop())) return false;
+
+  if (!groups.every(group => /^[0-9a-f]{1,4}$/i.test(group))) return false;
+  const count = groups.length + (ipv4Tail ? 2 : 0);
+  return halves.length === 2 ? count < 8 : count === 8;
+}
+
+/**
+ * Validate an IPv4 or IPv6 address
+ * @param {*} value - Single field value
+ * @returns {string|null} Error message, or null if valid
+ */
+export function validateIp(value) {
+  const str = String(value).trim();
+  return isIpv4(str) || isIpv6(str) ? null : `"${str}" is not a valid IPv4 or IPv6 address`;
+}
+
+/**
+ * Validate a CIDR range such as 10.0.0.0/8
+ * @param {*} value - Single field value
+ * @returns {string|null} Error message, or null if valid
+ */
+export function validateCidr(value) {
+  const str = String(value).trim();
+  const [address, prefix, extra] = str.split('/');
+  const maxPrefix = isIpv4(address) ? 32 : isIpv6(address) ? 128 : null;
+  if (maxPrefix === null || extra !== undefined || !/^\d{1,3}$/.test(prefix || '') || Number(prefix) > maxPrefix) {
+    return `"${str}" is not a valid CIDR range such as 10.0.0.0/8`;
+  }
+  return null;
+}
+
+/**
+ * Validate a port (1-65535) or a port range such as 8000-9000
+ * @param {*} value - Single field value
+ * @returns {string|null} Error message, or null if valid
+ */
+export function validatePort(value) {
+  const str = String(value).trim();
+  const range = str.match(/^(\d{1,5})(?:-(\d{1,5}))?$/);
+  const inRange = port => port >= 1 && port <= 65535;
+  if (!range || !inRange(Number(range[1])) || (range[2] !== undefined && (!inRange(Number(range[2])) || Number(range[2]) < Number(range[1])))) {
+    return `"${str}" is not a valid port (1-65535) or port range`;
+  }
+  return null;
+}
+
+/**
+ * Validate an ISO 3166-1 alpha-2 country code, in any case
+ * @param {*} value - Single field value
+ * @returns {string|null} Error message, or null if valid
+ */
+export function validateCountry(value) {
+  const str = String(value).trim();
+  return COUNTRY_CODES.has(str.toUpperCase()) ? null : `"${str}" is not an ISO 3166 two-letter country code`;
+}
+
+/**
+ * Validate an AS number, with or without the AS prefix
+ * @param {*} value - Single field value
+ * @returns {string|null} Error message, or null if valid
+ */
+export function validateAsn(value) {
+  const str = String(value).trim();
+  const match = str.match(/^(?:AS)?(\d+)$/i);
+  return match && Number(match[1]) <= MAX_ASN ? null : `"${str}" is not an AS number such as AS13335`;
+}
+
+/**
+ * Validate an HTTP status code
+ * @param {*} value - Single field value
+ * @returns {string|null} Error message, or null if valid
+ */
+export function validateHttpStatus(value) {
+  const str = String(value).trim();
+  return /^\d{3}$/.test(str) && Number(str) >= 100 && Number(str) <= 599 ? null : `"${str}" is not an HTTP status code (100-599)`;
+}
+
+/**
+ * Validate a CVE ID
+ * @param {*} value - Single field value
+ * @returns {string|null} Error message, or null if valid
+ */
+export function validateCve(value) {
+  const str = String(value).trim();
+  return /^CVE-\d{4}-\d{4,}$/i.test(str) ? null : `"${str}" is not a CVE ID such as CVE-2021-44228`;
+}
+
+/**
+ * Validate a Shodan-style MurmurHash3 (signed 32-bit integer), as used for favicons and HTML
+ * @param {*} value - Single field value
+ * @returns {string|null} Error message, or null if valid
+ */
+export function validateMurmurHash(value) {
+  const str = String(value).trim();
+  const inRange = /^-?\d{1,10}$/.test(str) && Number(str) >= -2147483648 && Number(str) <= 2147483647;
+  return inRange ? null : `"${str}" is not a MurmurHash3 (signed 32-bit integer) such as -1137972813`;
+}
+
+/**
+ * Validate a SHA-256 hex digest
+ * @param {*} value - Single field value
+ * @returns {string|null} Error message, or null if valid
+ */
+export function validateSha256(value) {
+  const str = String(value).trim();
+  return /^[0-9a-f]{64}$/i.test(str) ? null : `"${str}" is not a SHA-256 hash (64 hex characters)`;
+}
+
+/**
+ * Validate an HTTP header filter: a header name, optionally followed by a colon and a value
+ * @param {*} value - Single field value
+ * @returns {string|null} Error message, or null if valid
+ */
+export function validateHttpHeader(value) {
+  const str = String(value).trim();
+  return /^[A-Za-z0-9!#$%&'*+.^_`|~-]+(\s*:.*)?$/.test(str) ? null : `"${str}" is not a header such as X-Powered-By: PHP/8.1`;
+}
+
+/**
+ * Validate an MD5 hex digest
+ * @param {*} value - Single field value
+ * @returns {string|null} Error message, or null if valid
+ */
+export function validateMd5(value) {
+  const str = String(value).trim();
+  return /^[0-9a-f]{32}$/i.test(str) ? null : `"${str}" is not an MD5 hash (32 hex characters)`;
+}
+
+/**
+ * Validate a certificate SHA-256 or SHA-1 fingerprint, with or without colons
+ * @param {*} value - Single field value
+ * @returns {string|null} Error message, or null if valid
+ */
+export function validateCertFingerprint(value) {
+  const str = String(value).trim();
+  const hex = str.replace(/[:\s]/g, '');
+  return /^[0-9a-f]+$/i.test(hex) && (hex.length === 64 || hex.length === 40)
+    ? null
+    : `"${str}" is not a SHA-256 (64 hex characters) or SHA-1 (40 hex characters) fingerprint`;
+}
+
+/**
+ * Validate a certificate serial number: decimal, or hex with colons or a 0x prefix
+ * @param {*} value - Single field value
+ * @returns {string|null} Error message, or null if valid
+ */
+export function validateCertSerial(value) {
+  const str = String(value).trim();
+  const valid = /^\d+$/.test(str) || /^0x[0-9a-f]+$/i.test(str) || /^[0-9a-f]{1,2}(:[0-9a-f]{1,2})+$/i.test(str);
+  return valid ? null : `"${str}" is not a serial number - use decimal, or hex such as 04:a3:5f or 0x04a35f`;
+}
+
+/**
+ * Validate a calendar date in YYYY-MM-DD form
+ * @param {*} value - Single field value
+ * @returns {string|null} Error message, or null if valid
+ */
+export function validateDate(value) {
+  const str = String(value).trim();
+  const date = new Date(`${str}T00:00:00Z`);
+  // Date rolls invalid days over (2025-02-30 -> 2025-03-02), so compare the round trip
+  const valid = /^\d{4}-\d{2}-\d{2}$/.test(str) && !Number.isNaN(date.getTime()) && date.toISOString().slice(0, 10) === str;
+  return valid ? null : `"${str}" is not a valid date in YYYY-MM-DD form`;
+}
+
+/**
+ * Validate an absolute YYYY-MM-DD date or a relative one such as 7d (7 days ago, 1-3650)
+ * @param {*} value - Single field value
+ * @returns {string|null} Error message, or null if valid
+ */
+export function validateRelativeDate(value) {
+  const str = String(value).trim();
+  const relative = str.match(/^(\d+)d$/i);
+  if (relative) {
+    return Number(relative[1]) >= 1 && Number(relative[1]) <= 3650 ? null : `"${str}" is not between 1d and 3650d`;
+  }
+  return validateDate(str) ? `"${str}" is not a YYYY-MM-DD date or a number of days ago such as 7d` : null;
+}
+
+/**
+ * Validate a number of days (1-3650)
+ * @param {*} value - Single field value
+ * @returns {string|null} Error message, or null if valid
+ */
+export function validateDays(value) {
+  const str = String(value).trim();
+  return /^\d+$/.test(str) && Number(str) >= 1 && Number(str) <= 3650 ? null : `"${str}" is not a number of days (1-3650)`;
+}
+
+/**
+ * Validate a JARM fingerprint (62 hex characters)
+ * @param {*} value - Single field value
+ * @returns {string|null} Error message, or null if valid
+ */
+export function validateJarm(value) {
+  const str = String(value).trim();
+  return /^[0-9a-f]{62}$/i.test(str) ? null : `"${str}" is not a JARM fingerprint (62 hex characters)`;
+}
+
+/**
+ * Validate a JA3S fingerprint (MD5, 32 hex characters)
+ * @param {*} value - Single field value
+ * @returns {string|null} Error message, or null if valid
+ */
+export function validateJa3s(value) {
+  const str = String(value).trim();
+  return /^[0-9a-f]{32}$/i.test(str) ? null : `"${str}" is not a JA3S fingerprint (32 hex characters)`;
+}
+
+/**
+ * Validate a JA4 fingerprint such as t13d1516h2_8daaf6152771_02713d6af862:
+ * protocol, version, SNI, cipher and extension counts and ALPN, then two 12-character hashes
+ * @param {*} value - Single field value
+ * @returns {string|null} Error message, or null if valid
+ */
+export function validateJa4(value) {
+  const str = String(value).trim();
+  return /^[tqd][0-9a-z]{2}[di]\d{4}[0-9a-z]{2}_[0-9a-f]{12}_[0-9a-f]{12}$/i.test(str)
+    ? null
+    : `"${str}" is not a JA4 fingerprint such as t13d1516h2_8daaf6152771_02713d6af862`;
+}
+
+/**
+ * Validate a boolean toggle value
+ * @param {*} value - Single field value
+ * @returns {string|null} Error message, or null if valid
+ */
+export function validateBoolean(value) {
+  return value === true || value === false || value === 'true' || value === 'false' ? null : `"${value}" is not true or false`;
+}
+
+// Normalizers - each takes a single valid value
+
+export const trimValue = value => (typeof value === 'string' ? value.trim() : value);
+
+export const toUpperCase = value => String(value).trim().toUpperCase();
+
+export const toLowerCase = value => String(value).trim().toLowerCase();
+
+// Numeric strings become numbers, anything else (ranges) stays a string
+export const toNumber = value => (/^\d+$/.test(String(value).trim()) ? parseInt(value, 10) : String(value).trim());
+
+export const stripAsnPrefix = value => String(value).trim().replace(/^AS/i, '');
+
+export const toBoolean = value => value === true || value === 'true';
+
+export const stripFingerprint = value => String(value).trim().replace(/[:\s]/g, '').toLowerCase();
+
+// Hex serials (colon-separated or 0x-prefixed) become the decimal form engines index;
+// anything else is returned unchanged for validation to report
+export const toDecimalSerial = value => {
+  const str = String(value).trim();
+  if (/^\d+$/.test(str)) return str.replace(/^0+(?=\d)/, '');
+  const hex = str.replace(/^0x/i, '').replace(/:/g, '');
+  return /^[0-9a-f]+$/i.test(hex) ? BigInt(`0x${hex}`).toString() : str;
+};
@@ -0,0 +1,36 @@
+// FILE: pages/api/capabilities.js
+
+import { getCapabilities } from '../../lib/capabilities.js';
+
+/**
+ * API endpoint for the engine capability matrix
+ * GET /api/capabilities
+ *
+ * Returns: {
+ *   levels: ['native', 'approximate', 'unsupported', 'unknown'],
+ *   engines: Array of { id, displayName },
+ *   fields: Array of { id, label, form },
+ *   matrix: {
+ *     [engineId]: {
+ *       [fieldId]: { level: string, note: string|null }
+ *     }
+ *   }
+ * }
+ */
+export default function handler(req, res) {
+  // Only allow GET requests
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    res.status(200).json(getCapabilities());
+
+  } catch (error) {
+    console.error('Capabilities API error:', error);
+    res.status(500).json({ 
+      error: 'Internal server error',
+      message: error.message 
+    });
+  }
+}
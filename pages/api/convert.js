@@ -1,13 +1,14 @@
 // FILE: pages/api/convert.js
 
 import { convertAll } from '../../lib/converterIndex.js';
+import { validateQuery } from '../../lib/fieldValidation.js';
 
 /**
  * API endpoint for converting normalized fields to ASM platform queries
  * POST /api/convert
  * 
  * Body: {
- *   fields: Object,     // Normalized fields object
+ *   fields: Object,     // Normalized fields object, or { op: 'and'|'or'|'not', children } query node
  *   engines: Array      // Array of engine IDs to convert for
  * }
  * 
@@ -18,6 +19,13 @@ import { convertAll } from '../../lib/converterIndex.js';
  *     fallback?: string
  *   }
  * }
+ *
+ * Field values are validated and normalized first (upper-case country codes, ASNs without AS, ...)
+ * Invalid values return 400: {
+ *   error: 'Invalid field values',
+ *   message: string,
+ *   details: { [fieldId]: Array of error messages }
+ * }
  */
 export default function handler(req, res) {
   // Only allow POST requests
@@ -37,8 +45,19 @@ export default function handler(req, res) {
       return res.status(400).json({ error: 'Engines must be an array' });
     }
 
+    // Validate and normalize field values
+    const { query, errors } = validateQuery(fields);
+    const invalidFields = Object.keys(errors);
+    if (invalidFields.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid field values',
+        message: `Invalid values for ${invalidFields.join(', ')}: ${invalidFields.map(id => errors[id].join('; ')).join('; ')}`,
+        details: errors
+      });
+    }
+
     // Convert fields to queries for specified engines
-    const results = convertAll(fields, engines);
+    const results = convertAll(query, engines);
 
     // Return results
     res.status(200).json(results);
@@ -1,13 +1,16 @@
 // FILE: pages/api/engines.js
 
 import { getSupportedEngines } from '../../lib/converterIndex.js';
+import { FIELDS, describeFields, isFieldSupported } from '../../lib/fieldRegistry.js';
 
 /**
  * API endpoint for getting supported engines
  * GET /api/engines
  * 
  * Returns: {
- *   engines: Array of engine objects with id, displayName, docsUrl
+ *   engines: Array of engine objects with id, displayName, docsUrl and fields (IDs of the fields the engine can render),
+ *   fields: Array of field descriptions from the field registry,
+ *   total: number
  * }
  */
 export default function handler(req, res) {
@@ -17,10 +20,14 @@ export default function handler(req, res) {
   }
 
   try {
-    const engines = getSupportedEngines();
+    const engines = getSupportedEngines().map(engine => ({
+      ...engine,
+      fields: FIELDS.filter(field => isFieldSupported(field.id, engine.id)).map(field => field.id)
+    }));
     
     res.status(200).json({
       engines,
+      fields: describeFields(),
       total: engines.length
     });
 
@@ -0,0 +1,50 @@
+// FILE: pages/api/parse.js
+
+import { getSupportedParsers, parseQuery } from '../../lib/parserIndex.js';
+
+/**
+ * API endpoint for parsing an ASM platform query back into normalized fields
+ * POST /api/parse
+ *
+ * Body: {
+ *   engine: string,     // Engine ID the query is written for
+ *   query: string       // Query string (or FOFA qbase64 link)
+ * }
+ *
+ * Returns: {
+ *   fields: Object,     // Normalized fields object
+ *   warnings: Array     // Filters that could not be mapped
+ * }
+ */
+export default function handler(req, res) {
+  // Only allow POST requests
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const { engine, query } = req.body;
+
+    // Validate input
+    if (!getSupportedParsers().some(parser => parser.id === engine)) {
+      return res.status(400).json({ error: 'Unsupported engine' });
+    }
+
+    if (typeof query !== 'string' || !query.trim()) {
+      return res.status(400).json({ error: 'Query must be a non-empty string' });
+    }
+
+    // Parse query into normalized fields
+    const result = parseQuery(engine, query);
+
+    // Return results
+    res.status(200).json(result);
+
+  } catch (error) {
+    console.error('Parse error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+}
@@ -0,0 +1,64 @@
+// FILE: pages/api/translate.js
+
+import { getSupportedParsers } from '../../lib/parserIndex.js';
+import { translateQuery } from '../../lib/translate.js';
+
+/**
+ * API endpoint for translating a query from one ASM platform to others
+ * POST /api/translate
+ *
+ * Body: {
+ *   from: string,       // Engine ID the query is written for
+ *   query: string,      // Source query string
+ *   to: Array           // Array of engine IDs to translate into
+ * }
+ *
+ * Returns: {
+ *   fields: Object,     // Normalized fields parsed from the source query
+ *   warnings: Array,    // Source filters that could not be parsed, and invalid values that were dropped
+ *   results: {
+ *     [engineId]: {
+ *       query: string,
+ *       notes: Array,
+ *       fallback?: string,
+ *       lossy: Array    // Dropped or approximated constructs for this engine
+ *     }
+ *   }
+ * }
+ */
+export default function handler(req, res) {
+  // Only allow POST requests
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const { from, query, to } = req.body;
+
+    // Validate input
+    if (!getSupportedParsers().some(parser => parser.id === from)) {
+      return res.status(400).json({ error: 'Unsupported source engine' });
+    }
+
+    if (typeof query !== 'string' || !query.trim()) {
+      return res.status(400).json({ error: 'Query must be a non-empty string' });
+    }
+
+    if (!Array.isArray(to)) {
+      return res.status(400).json({ error: 'Target engines must be an array' });
+    }
+
+    // Parse the source query and convert it for the target engines
+    const results = translateQuery(from, query, to);
+
+    // Return results
+    res.status(200).json(results);
+
+  } catch (error) {
+    console.error('Translation error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+}
@@ -7,6 +7,8 @@ import FieldsForm from '../components/FieldsForm';
 import EngineTabs from '../components/EngineTabs';
 import Presets from '../components/Presets';
 import ShareLink from '../components/ShareLink';
+import QueryImport from '../components/QueryImport';
+import CapabilityMatrix from '../components/CapabilityMatrix';
 import { getSupportedEngines } from '../lib/converterIndex.js';
 import { optimizePreset, restorePreset } from '../lib/storageUtils.js';
 
@@ -212,7 +214,7 @@ export default function Home() {
                   Convert form inputs to hunt queries for multiple Attack Surface Management platforms
                 </p>
                 <div className="flex flex-wrap justify-center items-center gap-2">
-                  <span className="px-3 py-1 bg-blue-100 dark:bg-blue-900 text-blue-800 dark:text-blue-200 rounded-full text-sm font-medium">3 ASM Platforms</span>
+                  <span className="px-3 py-1 bg-blue-100 dark:bg-blue-900 text-blue-800 dark:text-blue-200 rounded-full text-sm font-medium">{getSupportedEngines().length} ASM Platforms</span>
                   <span className="px-3 py-1 bg-green-100 dark:bg-green-900 text-green-800 dark:text-green-200 rounded-full text-sm font-medium">No API Keys Required</span>
                   <span className="px-3 py-1 bg-purple-100 dark:bg-purple-900 text-purple-800 dark:text-purple-200 rounded-full text-sm font-medium">Local Processing</span>
                 </div>
@@ -359,12 +361,12 @@ export default function Home() {
                     Build Your Query
                   </h2>
                 </div>
-                <FieldsForm ref={fieldsFormRef} onSubmit={handleConvert} isLoading={isLoading} initialFields={currentFields} />
+                <FieldsForm ref={fieldsFormRef} onSubmit={handleConvert} isLoading={isLoading} initialFields={currentFields} selectedEngines={selectedEngines} />
               </div>
             </div>
 
-            {/* Engine Selection - Takes 1/3 width on large screens */}
-            <div className="xl:col-span-1">
+            {/* Engine Selection and Query Import - Takes 1/3 width on large screens */}
+            <div className="xl:col-span-1 space-y-8">
               <div className="bg-white/80 backdrop-blur-sm rounded-2xl shadow-xl border border-white/20 p-4 hover:shadow-2xl transition-all duration-300">
                 <div className="flex items-center mb-4">
                   <div className="w-8 h-8 bg-gradient-to-r from-purple-500 to-purple-600 rounded-lg flex items-center justify-center mr-3">
@@ -444,6 +446,21 @@ export default function Home() {
                 </div>
 
               </div>
+
+              {/* Paste Query - imported fields load like a preset */}
+              <div className="bg-white/80 backdrop-blur-sm rounded-2xl shadow-xl border border-white/20 p-4 hover:shadow-2xl transition-all duration-300">
+                <div className="flex items-center mb-4">
+                  <div className="w-8 h-8 bg-gradient-to-r from-indigo-500 to-blue-600 rounded-lg flex items-center justify-center mr-3">
+                    <svg className="w-4 h-4 text-white" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 5H7a2 2 0 00-2 2v12a2 2 0 002 2h10a2 2 0 002-2V7a2 2 0 00-2-2h-2M9 5a2 2 0 002 2h2a2 2 0 002-2M9 5a2 2 0 012-2h2a2 2 0 012 2" />
+                    </svg>
+                  </div>
+                  <h2 className="text-xl font-bold text-gray-900">
+                    Paste Query
+                  </h2>
+                </div>
+                <QueryImport onImport={handleLoadPreset} isLoading={isLoading} />
+              </div>
             </div>
           </div>
 
@@ -462,6 +479,24 @@ export default function Home() {
             <Presets onLoadPreset={handleLoadPreset} onSavePreset={handleSavePreset} />
           </div>
 
+          {/* Engine Capabilities Section */}
+          <div className="bg-white/80 backdrop-blur-sm rounded-2xl shadow-xl border border-white/20 p-8 hover:shadow-2xl transition-all duration-300">
+            <div className="flex items-center mb-6">
+              <div className="w-10 h-10 bg-gradient-to-r from-emerald-500 to-teal-600 rounded-lg flex items-center justify-center mr-3">
+                <svg className="w-5 h-5 text-white" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M3 10h18M3 14h18m-9-4v8m-7 0h14a2 2 0 002-2V8a2 2 0 00-2-2H5a2 2 0 00-2 2v8a2 2 0 002 2z" />
+                </svg>
+              </div>
+              <h2 className="text-2xl font-bold text-gray-900">
+                Engine Capabilities
+              </h2>
+            </div>
+            <p className="text-sm text-gray-600 mb-4">
+              Which fields each platform supports natively, approximates with a related filter or drops. Hover a cell for details.
+            </p>
+            <CapabilityMatrix selectedEngines={selectedEngines} />
+          </div>
+
 
           {/* Static Tables - Full Width for Better Display */}
           <div className="space-y-8">
@@ -564,7 +599,7 @@ export default function Home() {
                     <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 12l2 2 4-4m6 2a9 9 0 11-18 0 9 9 0 0118 0z" />
                   </svg>
                 </div>
-                <h3 className="text-lg font-semibold text-gray-900 mb-2">3 ASM Platforms</h3>
+                <h3 className="text-lg font-semibold text-gray-900 mb-2">{getSupportedEngines().length} ASM Platforms</h3>
                 <p className="text-gray-600 text-sm">Support for all major platforms</p>
               </div>
             </div>
@@ -0,0 +1,26 @@
+// FILE: plugins/index.js
+
+/**
+ * Converter plugins
+ * Additional engines registered next to the built-in ones at build time
+ *
+ * Each entry follows the converter contract documented in lib/converterIndex.js:
+ * { id, displayName, docsUrl, convert, parse?, searchUrl?, placeholder? }
+ *
+ * Example:
+ *
+ *   import { convert, parse } from './scandb.js';
+ *
+ *   export default [
+ *     {
+ *       id: 'scandb',
+ *       displayName: 'Internal ScanDB',
+ *       docsUrl: 'https://wiki.example.com/scandb/query-language',
+ *       convert,
+ *       parse,
+ *       searchUrl: query => `https://scandb.example.com/search?q=${encodeURIComponent(query)}`
+ *     }
+ *   ];
+ */
+
+export default [];
@@ -1,6 +1,7 @@
 // FILE: scripts/assertions.js
 
 import { convertAll } from '../lib/converterIndex.js';
+import { translateQuery } from '../lib/translate.js';
 
 /**
  * Assertion tests for converter functionality
@@ -9,7 +10,10 @@ import { convertAll } from '../lib/converterIndex.js';
 
 console.log('🔍 Running Converter Assertions\n');
 
-// Test cases with expected patterns
+// Helper for assertions that expect an exact query
+const exact = (expected) => (query) => query === expected;
+
+// Test cases with expected patterns; `translate` cases parse a query first, like POST /api/translate
 const testCases = [
   {
     name: 'IP Address Query',
@@ -24,9 +28,9 @@ const testCases = [
     name: 'Port and Protocol',
     fields: { port: 80, protocol: 'tcp' },
     assertions: {
-      shodan: (query) => query.includes('port:80') && query.includes('protocol:tcp'),
+      shodan: (query) => query.includes('port:80') && query.includes('transport:tcp'),
       censys: (query) => query.includes('port:80') && query.includes('protocol:"tcp"'),
-      fofa: (query) => query.includes('port="80"') && query.includes('protocol="tcp"')
+      fofa: (query) => query.includes('port="80"') && query.includes('base_protocol="tcp"')
     }
   },
   {
@@ -35,7 +39,7 @@ const testCases = [
     assertions: {
       shodan: (query) => query.includes('hostname:example.com'),
       censys: (query) => query.includes('example.com'),
-      fofa: (query) => query.includes('host="example.com"')
+      fofa: (query) => query.includes('domain="example.com"')
     }
   },
   {
@@ -52,7 +56,7 @@ const testCases = [
     fields: { tlsCN: '*.example.com' },
     assertions: {
       shodan: (query) => query.includes('ssl.cert.subject.cn:"*.example.com"'),
-      censys: (query) => query.includes('ssl.certificate.parsed.subject.common_name:"*.example.com"'),
+      censys: (query) => query.includes('host.services.cert.parsed.subject.common_name = "*.example.com"'),
       fofa: (query) => query.includes('cert="*.example.com"')
     }
   },
@@ -61,9 +65,233 @@ const testCases = [
     fields: { asn: 'AS13335' },
     assertions: {
       shodan: (query) => query.includes('asn:13335'),
-      censys: (query) => query.includes('asn:13335'),
+      censys: (query) => query.includes('host.autonomous_system.asn: 13335'),
       fofa: (query) => query.includes('asn="13335"')
     }
+  },
+  {
+    name: 'Favicon Hash',
+    fields: { faviconHash: '-1542678720', faviconMd5: 'd89746888da2d9510b64a9f031eaecd5' },
+    assertions: {
+      shodan: exact('http.favicon.hash:-1542678720'),
+      censys: (query) => query.includes('host.services.endpoints.http.favicons.hash_shodan: -1542678720')
+        && query.includes('host.services.endpoints.http.favicons.hash_md5: "d89746888da2d9510b64a9f031eaecd5"'),
+      fofa: exact('icon_hash="-1542678720"'),
+      hunter: exact('web.icon="d89746888da2d9510b64a9f031eaecd5"')
+    }
+  },
+  {
+    name: 'Dork Exclusions',
+    fields: { httpTitle: 'Login', not: { domain: 'example.com', port: '22' } },
+    assertions: {
+      dork: exact('intitle:"Login" -site:example.com')
+    }
+  },
+  {
+    name: 'Favicon Hash With Port',
+    fields: { port: '80', faviconHash: '-1542678720', faviconMd5: 'd89746888da2d9510b64a9f031eaecd5' },
+    assertions: {
+      censys: exact('host.services.port:80 and (host.services.endpoints.http.favicons.hash_shodan: -1542678720 or web.endpoints.http.favicons.hash_shodan: -1542678720) and (host.services.endpoints.http.favicons.hash_md5: "d89746888da2d9510b64a9f031eaecd5" or web.endpoints.http.favicons.hash_md5: "d89746888da2d9510b64a9f031eaecd5")')
+    }
+  },
+  {
+    name: 'Certificate Fields',
+    fields: { certFingerprint: 'AB:CD:'.repeat(10), certSerial: '04:a3:5f', selfSigned: true, certIssuedAfter: '2025-01-01' },
+    assertions: {
+      shodan: exact('ssl.cert.fingerprint:abcdabcdabcdabcdabcdabcdabcdabcdabcdabcd ssl.cert.serial:303967 tag:self-signed'),
+      censys: (query) => query.includes('host.services.cert.fingerprint_sha1: "abcdabcdabcdabcdabcdabcdabcdabcdabcdabcd"')
+        && query.includes('host.services.cert.parsed.serial_number: "303967"')
+        && query.includes('host.services.cert.parsed.validity_period.not_before >= "2025-01-01T00:00:00Z"'),
+      fofa: exact('cert.not_before.after="2025-01-01"')
+    }
+  },
+  {
+    name: 'Certificate Expiry Window',
+    fields: { certExpiresWithin: 30, expiredCert: false },
+    assertions: {
+      censys: (query) => /validity_period\.not_after: \["\d{4}-\d{2}-\d{2}T00:00:00Z" to "\d{4}-\d{2}-\d{2}T00:00:00Z"\]/.test(query),
+      fofa: (query) => /^cert\.not_after\.after="\d{4}-\d{2}-\d{2}" && cert\.not_after\.before="\d{4}-\d{2}-\d{2}" && cert\.is_expired=false$/.test(query),
+      netlas: (query) => /certificate\.validity\.end:\[\d{4}-\d{2}-\d{2} TO \d{4}-\d{2}-\d{2}\]/.test(query)
+    }
+  },
+  {
+    name: 'Time Range',
+    fields: { seenAfter: '2025-01-01', seenBefore: '2025-06-30' },
+    assertions: {
+      shodan: exact('after:01/01/2025 before:30/06/2025'),
+      censys: exact('host.last_updated_at >= "2025-01-01T00:00:00Z" and host.last_updated_at <= "2025-06-30T00:00:00Z"'),
+      fofa: exact('after="2025-01-01" && before="2025-06-30"')
+    }
+  },
+  {
+    name: 'Relative Time Range',
+    fields: { seenAfter: '7d' },
+    assertions: {
+      shodan: (query) => /^after:\d{2}\/\d{2}\/\d{4}$/.test(query),
+      censys: (query) => /^host\.last_updated_at >= "\d{4}-\d{2}-\d{2}T00:00:00Z"$/.test(query),
+      fofa: (query) => /^after="\d{4}-\d{2}-\d{2}"$/.test(query)
+    }
+  },
+  {
+    name: 'HTTP Header and Body',
+    fields: { httpHeader: 'X-Powered-By: PHP/8.1', httpBody: 'Powered by WordPress', htmlHash: '-1957161625' },
+    assertions: {
+      shodan: exact('"X-Powered-By: PHP/8.1" http.html:"Powered by WordPress" http.html_hash:-1957161625'),
+      censys: (query) => query.includes('web.endpoints.http.headers: (key: "X-Powered-By" and value: "PHP/8.1")')
+        && query.includes('web.endpoints.http.body: "Powered by WordPress"'),
+      fofa: exact('header="X-Powered-By: PHP/8.1" && body="Powered by WordPress" && body_hash="-1957161625"')
+    }
+  },
+  {
+    name: 'URL Path',
+    fields: { httpPath: '/admin' },
+    assertions: {
+      shodan: (query) => !query.includes('http.title') && !query.includes('/admin'),
+      censys: exact('(web.endpoints.path: "/admin" or host.services.endpoints.path: "/admin")'),
+      fofa: (query) => !query.includes('header=')
+    }
+  },
+  {
+    name: 'HTTP Fields With Port',
+    fields: { port: '80', httpBody: 'login', httpHeader: 'X-A: b' },
+    assertions: {
+      censys: exact('host.services.port:80 and (web.endpoints.http.headers: (key: "X-A" and value: "b") or host.services.endpoints.http.headers: (key: "X-A" and value: "b")) and (web.endpoints.http.body: "login" or host.services.endpoints.http.body: "login")')
+    }
+  },
+  {
+    name: 'TLS Fingerprints',
+    fields: { jarm: '07d14d16d21d21d07c42d41d00041d24a458a375eef0c576d23a7bab9a9fb1', ja3s: 'eb1d94daa7e0344597e756a1fb6e7054', ja4: 't13d1516h2_8daaf6152771_02713d6af862' },
+    assertions: {
+      shodan: exact('ssl.jarm:07d14d16d21d21d07c42d41d00041d24a458a375eef0c576d23a7bab9a9fb1 ssl.ja3s:eb1d94daa7e0344597e756a1fb6e7054'),
+      censys: exact('host.services.jarm.fingerprint: "07d14d16d21d21d07c42d41d00041d24a458a375eef0c576d23a7bab9a9fb1" and host.services.tls.ja4: "t13d1516h2_8daaf6152771_02713d6af862"'),
+      fofa: exact('jarm="07d14d16d21d21d07c42d41d00041d24a458a375eef0c576d23a7bab9a9fb1"')
+    }
+  },
+  {
+    name: 'Lucene Escaping',
+    fields: { httpTitle: 'Admin (beta)', tlsCN: '*.example.com', port: '8000-9000', serverHeader: 'a:b' },
+    assertions: {
+      netlas: (query) => query.includes('http.title:"Admin (beta)"')
+        && query.includes('certificate.subject.common_name:*.example.com')
+        && query.includes('port:[8000 TO 9000]')
+        && query.includes('http.headers.server:a\\:b')
+    }
+  },
+  {
+    name: 'Title With Ports',
+    fields: { port: ['80', '443'], title: 'phpMyAdmin' },
+    assertions: {
+      fofa: exact('(port=="80" || port=="443") && title="phpMyAdmin"')
+    }
+  },
+  {
+    name: 'Multiple Values',
+    fields: { org: ['A', 'B'], country: ['US', 'DE'], asn: ['AS13335', 'AS15169'], vuln: ['CVE-2021-44228', 'CVE-2014-0160'] },
+    assertions: {
+      shodan: exact('country:US,DE (org:"A" OR org:"B") asn:13335,15169 vuln:CVE-2021-44228,CVE-2014-0160'),
+      fofa: exact('(country="US" || country="DE") && (org="A" || org="B") && (asn="13335" || asn="15169")')
+    }
+  },
+
+  // Hostile inputs - values must stay inside the filter they were typed into
+  {
+    name: 'Hostile Input: Double Quotes',
+    fields: { httpTitle: 'Say "hi"' },
+    assertions: {
+      shodan: exact('http.title:"Say hi"'),
+      censys: exact('(web.endpoints.http.html_title: "Say \\"hi\\"" or host.services.endpoints.http.html_title: "Say \\"hi\\"")'),
+      fofa: exact('title="Say \\"hi\\""'),
+      zoomeye: exact('title="Say \\"hi\\""'),
+      netlas: exact('http.title:"Say \\"hi\\""'),
+      dork: exact('intitle:"Say hi"')
+    }
+  },
+  {
+    name: 'Hostile Input: Quote Breakout',
+    fields: { domain: 'evil.com" OR "x' },
+    assertions: {
+      shodan: exact('hostname:"evil.com OR x"'),
+      censys: exact('host.dns.names: "evil.com\\" OR \\"x"'),
+      fofa: exact('domain="evil.com\\" OR \\"x"'),
+      hunter: exact('domain="evil.com\\" OR \\"x"'),
+      dork: exact('site:evil.comORx')
+    }
+  },
+  {
+    name: 'Hostile Input: Backslashes',
+    fields: { banner: 'C:\\Program Files\\' },
+    assertions: {
+      shodan: exact('"C:\\Program Files\\"'),
+      censys: exact('services.http.response.body: "C:\\\\Program Files\\\\"'),
+      fofa: exact('body="C:\\\\Program Files\\\\"'),
+      quake: exact('response: "C:\\\\Program Files\\\\"')
+    }
+  },
+  {
+    name: 'Hostile Input: Boolean Operators',
+    fields: { httpTitle: 'a && b || c' },
+    assertions: {
+      shodan: exact('http.title:"a && b || c"'),
+      censys: exact('(web.endpoints.http.html_title: "a && b || c" or host.services.endpoints.http.html_title: "a && b || c")'),
+      fofa: exact('title="a && b || c"'),
+      criminalip: exact('title:"a && b || c"')
+    }
+  },
+  {
+    name: 'Hostile Input: Whitespace',
+    fields: { product: 'Apache httpd', port: '80 or 1' },
+    assertions: {
+      shodan: exact('port:"80 or 1" product:"Apache httpd"'),
+      censys: exact('host.services.port:"80 or 1" and (host.services.software.product: "Apache httpd" or web.software.product: "Apache httpd")'),
+      fofa: exact('port="80 or 1" && product="Apache httpd"'),
+      onyphe: exact('category:datascan port:"80 or 1" product:"Apache httpd"')
+    }
+  },
+  {
+    name: 'Hostile Input: Unicode',
+    fields: { httpTitle: 'Привет 世界' },
+    assertions: {
+      shodan: exact('http.title:"Привет 世界"'),
+      censys: exact('(web.endpoints.http.html_title: "Привет 世界" or host.services.endpoints.http.html_title: "Привет 世界")'),
+      fofa: exact('title="Привет 世界"')
+    }
+  },
+  {
+    name: 'Hostile Input: Parentheses',
+    fields: { org: 'Acme (EU)' },
+    assertions: {
+      shodan: exact('org:"Acme (EU)"'),
+      censys: exact('host.autonomous_system.name: "Acme (EU)"'),
+      fofa: exact('org="Acme (EU)"'),
+      netlas: exact('whois.net.organization:"Acme (EU)"')
+    }
+  },
+
+  // Unvalidated values (imports, translations, plugins) must not take the whole query down
+  {
+    name: 'Translation With An Invalid Value',
+    translate: { from: 'shodan', query: 'port:443 ssl.cert.serial:zz country:US' },
+    assertions: {
+      censys: exact('host.services.port:443 and host.location.country_code:"US"'),
+      fofa: exact('port="443" && country="US"')
+    }
+  },
+  {
+    name: 'Hostile Input: Non-Hex Certificate Serial',
+    fields: { port: '443', certSerial: 'zz' },
+    assertions: {
+      shodan: exact('port:443 ssl.cert.serial:zz'),
+      censys: exact('host.services.port:443 and host.services.cert.parsed.serial_number: "zz"')
+    }
+  },
+  {
+    name: 'Hostile Input: Non-Numeric Expiry Window',
+    fields: { port: '443', certExpiresWithin: 'abc' },
+    assertions: {
+      censys: exact('host.services.port:443'),
+      fofa: exact('port="443"'),
+      netlas: exact('port:443')
+    }
   }
 ];
 
@@ -74,7 +302,10 @@ let totalTests = 0;
 testCases.forEach(testCase => {
   console.log(`🧪 Testing: ${testCase.name}`);
   
-  const results = convertAll(testCase.fields, Object.keys(testCase.assertions));
+  const engines = Object.keys(testCase.assertions);
+  const results = testCase.translate
+    ? translateQuery(testCase.translate.from, testCase.translate.query, engines).results
+    : convertAll(testCase.fields, engines);
   
   Object.entries(testCase.assertions).forEach(([engineId, assertion]) => {
     totalTests++;
@@ -102,4 +333,5 @@ if (passedTests === totalTests) {
   console.log('🎉 All assertions passed!');
 } else {
   console.log('⚠️  Some assertions failed. Check converter implementations.');
+  process.exitCode = 1;
 }
@@ -1,6 +1,11 @@
 // FILE: scripts/test_converters.js
 
 import { convertAll } from '../lib/converterIndex.js';
+import { parseQuery } from '../lib/parserIndex.js';
+import { translateQuery } from '../lib/translate.js';
+import { getCapabilities } from '../lib/capabilities.js';
+import { validateQuery } from '../lib/fieldValidation.js';
+import { hashFavicon, decodeBase64 } from '../lib/faviconHash.js';
 import presetsData from '../examples/presets.json' with { type: 'json' };
 
 /**
@@ -22,7 +27,7 @@ const testFields = {
 };
 
 // Test all engines
-const allEngines = ['shodan', 'censys', 'fofa'];
+const allEngines = ['shodan', 'censys', 'fofa', 'zoomeye', 'hunter', 'quake', 'netlas', 'dork', 'criminalip', 'onyphe'];
 
 console.log('📋 Test Fields:');
 console.log(JSON.stringify(testFields, null, 2));
@@ -59,4 +64,110 @@ presetsData.forEach((preset, index) => {
   console.log('');
 });
 
+// Test query parsers
+console.log('🌳 Testing Boolean Queries:\n');
+
+const booleanQuery = {
+  op: 'and',
+  children: [
+    { op: 'or', children: [{ httpTitle: 'Jenkins' }, { httpTitle: 'Grafana' }] },
+    { op: 'not', children: [{ country: 'CN' }] }
+  ]
+};
+Object.entries(convertAll(booleanQuery, ['shodan', 'censys', 'fofa'])).forEach(([engineId, result]) => {
+  console.log(`${engineId}: ${result.query}`);
+});
+console.log('');
+
+const excludedFields = { port: 443, not: { org: 'Amazon', country: 'CN' } };
+Object.entries(convertAll(excludedFields, ['shodan', 'censys', 'fofa'])).forEach(([engineId, result]) => {
+  console.log(`${engineId} (exclusions): ${result.query}`);
+});
+console.log('');
+
+console.log('🔁 Testing Query Parsers:\n');
+
+const sampleQueries = {
+  shodan: 'port:80,443 org:"Acme" http.title:"Login" country:US',
+  censys: 'host.services: (port: {80, 443} and endpoints.http.html_title: "Login") and host.location.country_code: "US"',
+  fofa: 'https://fofa.so/result?qbase64=aXBfcG9ydHM9IjgwLDQ0MyIgJiYgdGl0bGU9IkxvZ2luIiAmJiBpcF9jb3VudHJ5PSJVUyI='
+};
+
+Object.entries(sampleQueries).forEach(([engineId, query]) => {
+  const { fields, warnings } = parseQuery(engineId, query);
+  console.log(`${engineId}: ${query}`);
+  console.log(`   Fields: ${JSON.stringify(fields)}`);
+  if (warnings.length > 0) {
+    console.log(`   Warnings: ${warnings.join(', ')}`);
+  }
+  console.log('');
+});
+
+// Malformed and precedence-sensitive input must produce warnings, not exceptions
+['host.services.port: 80 and not', 'host.services.port: [80 to 90] and host.location.country_code: "US"', 'host.services.port: 80 and host.location.country_code: "US" or host.location.country_code: "DE"'].forEach(query => {
+  const { fields, warnings } = parseQuery('censys', query);
+  console.log(`censys: ${query}`);
+  console.log(`   Fields: ${JSON.stringify(fields)}`);
+  console.log(`   Warnings: ${warnings.join(', ')}`);
+  console.log('');
+});
+
+// Certificate and time-range fields survive a convert -> parse round trip
+const roundTripFields = { selfSigned: false, expiredCert: false, certIssuedAfter: '2025-01-01', certExpiresWithin: 30, seenAfter: '2025-01-01', seenBefore: '2025-06-30' };
+Object.entries(convertAll(roundTripFields, ['shodan', 'censys', 'fofa'])).forEach(([engineId, result]) => {
+  const { fields, warnings } = parseQuery(engineId, result.query);
+  console.log(`${engineId} (round trip): ${JSON.stringify(fields)}`);
+  if (warnings.length > 0) {
+    console.log(`   Warnings: ${warnings.join(', ')}`);
+  }
+});
+console.log('');
+
+console.log('🌐 Testing Query Translation:\n');
+
+const translation = translateQuery('shodan', 'port:443 vuln:CVE-2021-44228 -country:CN', ['censys', 'fofa']);
+Object.entries(translation.results).forEach(([engineId, result]) => {
+  console.log(`shodan -> ${engineId}: ${result.query}`);
+  if (result.lossy.length > 0) {
+    console.log(`   Lossy: ${result.lossy.join(', ')}`);
+  }
+});
+console.log('');
+
+console.log('🧭 Testing Capability Matrix:\n');
+
+const { engines, fields, matrix } = getCapabilities();
+engines.forEach(engine => {
+  const unsupported = fields.filter(field => matrix[engine.id][field.id].level === 'unsupported').map(field => field.id);
+  const approximate = fields.filter(field => matrix[engine.id][field.id].level === 'approximate').map(field => field.id);
+  console.log(`${engine.id}: approximate [${approximate.join(', ')}], unsupported [${unsupported.join(', ')}]`);
+});
+console.log('');
+
+console.log('🛡️ Testing Field Validation:\n');
+
+const validation = validateQuery({
+  port: ['443', 'abc'],
+  country: 'de',
+  asn: 'as13335',
+  domain: 'Example.COM',
+  certSerial: '04:a3:5f',
+  certIssuedAfter: '2025-02-30',
+  not: { vuln: 'cve-2021-44228' }
+});
+console.log(`Normalized: ${JSON.stringify(validation.query)}`);
+console.log(`Errors: ${JSON.stringify(validation.errors)}`);
+console.log('');
+
+console.log('🖼️ Testing Favicon Hashing:\n');
+
+// 1x1 transparent GIF
+const favicon = hashFavicon(decodeBase64('R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7'));
+console.log(`MurmurHash3: ${favicon.mmh3}, MD5: ${favicon.md5}`);
+const faviconResults = convertAll({ faviconHash: String(favicon.mmh3), faviconMd5: favicon.md5 }, ['shodan', 'fofa', 'hunter']);
+Object.entries(faviconResults).forEach(([engineId, result]) => {
+  console.log(`${engineId}: ${result.query}`);
+});
+console.log('');
+
 console.log('✅ Converter testing completed!');